@@ -10,13 +10,25 @@
  *   npx @blockchain-web-services/bws-ai-coding-template
  *   or
  *   worktree-init
+ *
+ * Non-interactive (CI, Dockerfiles, bootstrap scripts):
+ *   npx @blockchain-web-services/bws-ai-coding-template --yes --project-name my-app --github-owner my-org
+ *   npx @blockchain-web-services/bws-ai-coding-template --yes --config .worktrees
+ *
+ * Uninstall:
+ *   npx @blockchain-web-services/bws-ai-coding-template uninstall [--dry-run] [--purge]
+ *
+ * Undo the most recent install (restores overwritten files, removes created ones):
+ *   npx @blockchain-web-services/bws-ai-coding-template rollback [--dry-run]
  */
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { runCLI } from '../lib/cli.js';
+import { runUninstall } from '../lib/uninstall.js';
+import { runRollback } from '../lib/transaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,15 +44,67 @@ program
     .name('bws-ai-coding-template')
     .description('Add git worktree management and parallel testing to your Node.js project')
     .version(packageData.version)
+    .enablePositionalOptions() // Keep options like --dry-run scoped to their subcommand
     .option('--dry-run', 'Preview what would be installed without making changes')
+    .option('--diff', 'With --dry-run, show unified diffs of files that would change (implies --dry-run)')
     .option('--add-aws', 'Include AWS deployment files and test infrastructure')
     .option('--force', 'Force update all files, including AWS templates (use with caution)')
+    .option('--merge', 'Three-way merge new template changes into files you customized')
+    .option('--strict', 'Fail if a template leaves an unresolved {{placeholder}} (nothing is written)')
+    .addOption(new Option('-y, --yes', 'Run without prompts, using flags, config file and detected values').env('BWS_YES'))
+    .addOption(new Option('--non-interactive', 'Alias for --yes').env('BWS_NON_INTERACTIVE'))
+    .addOption(new Option('--project-name <name>', 'Project name').env('BWS_PROJECT_NAME'))
+    .addOption(new Option('--github-owner <owner>', 'GitHub username or organization').env('BWS_GITHUB_OWNER'))
+    .addOption(new Option('--config <file>', 'Read configuration from a JSON file (same shape as .worktrees)').env('BWS_CONFIG'))
     .action(async (options) => {
         try {
             await runCLI({
-                dryRun: options.dryRun || false,
+                dryRun: options.dryRun || options.diff || false,
+                showDiff: options.diff || false,
                 addAWS: options.addAws || false,
-                forceUpdate: options.force || false
+                forceUpdate: options.force || false,
+                mergeUpdate: options.merge || false,
+                strict: options.strict || false,
+                nonInteractive: options.yes || options.nonInteractive || false,
+                projectName: options.projectName || null,
+                githubOwner: options.githubOwner || null,
+                configFile: options.config || null
+            });
+        } catch (error) {
+            console.error('Fatal error:', error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('uninstall')
+    .description('Remove everything the installer added (modified files are kept unless --purge)')
+    .option('--dry-run', 'Preview what would be removed without making changes')
+    .option('--purge', 'Also remove installed files you modified')
+    .addOption(new Option('-y, --yes', 'Do not ask for confirmation').env('BWS_YES'))
+    .action(async (options) => {
+        try {
+            await runUninstall({
+                dryRun: options.dryRun || false,
+                purge: options.purge || false,
+                nonInteractive: options.yes || false
+            });
+        } catch (error) {
+            console.error('Fatal error:', error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('rollback')
+    .description('Restore the files changed by the most recent install')
+    .option('--dry-run', 'Preview what would be restored without making changes')
+    .addOption(new Option('-y, --yes', 'Do not ask for confirmation').env('BWS_YES'))
+    .action(async (options) => {
+        try {
+            await runRollback({
+                dryRun: options.dryRun || false,
+                nonInteractive: options.yes || false
             });
         } catch (error) {
             console.error('Fatal error:', error.message);
@@ -4,8 +4,10 @@
  */
 
 import chalk from 'chalk';
+import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createTwoFilesPatch } from 'diff';
 import {
     validateGitRepository,
     validatePackageJson,
@@ -16,6 +18,9 @@ import {
 } from './validators.js';
 import {
     askProjectInfo,
+    loadConfigFile,
+    resolveProjectInfo,
+    displayInstallationSummary,
     confirmInstallation
 } from './prompts.js';
 import {
@@ -29,9 +34,14 @@ import {
     createRootClaudeInstructions,
     updateClaudeMd,
     copyClaudeConfig,
-    updateAllWorktrees
+    updateAllWorktrees,
+    setFileSystem,
+    takeUnresolvedPlaceholders
 } from './file-copier.js';
 import { buildReplacements } from './template-processor.js';
+import { createManifest, BASE_SNAPSHOT_DIR } from './manifest.js';
+import { createStagedFs } from './staged-fs.js';
+import { commitChanges, BACKUP_DIR } from './transaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -78,12 +88,146 @@ function displayConflicts(conflicts) {
     }
 }
 
+/**
+ * Display files that were kept or merged because the user customized them
+ * @param {Object} manifest - Install manifest from this run
+ */
+function displayCustomizedFiles(manifest) {
+    if (manifest.merged.length > 0) {
+        console.log(chalk.blue.bold('\n⇄ Customized files merged with the new template:\n'));
+        for (const file of manifest.merged) {
+            console.log(chalk.blue('  •'), file);
+        }
+    }
+
+    if (manifest.conflicted.length > 0) {
+        console.log(chalk.red.bold('\n✗ Files that need attention (merge conflicts):\n'));
+        for (const file of manifest.conflicted) {
+            console.log(chalk.red('  •'), file);
+        }
+        console.log(chalk.gray('\n  Resolve the <<<<<<< / ======= / >>>>>>> markers in these files, then review with git diff.'));
+    }
+
+    if (manifest.customized.length > 0) {
+        console.log(chalk.magenta.bold('\n✎ Customized files were not updated:\n'));
+        for (const file of manifest.customized) {
+            console.log(chalk.magenta('  •'), file);
+        }
+        console.log(chalk.gray('\n  These files differ from the version originally installed, so your changes were kept.'));
+        if (!manifest.merge) {
+            console.log(chalk.gray('  Run with --merge to merge the new template into them, or --force to overwrite them.'));
+        } else {
+            console.log(chalk.gray('  Run with --force to overwrite them with the new template version.'));
+        }
+    }
+}
+
+/**
+ * Display placeholders that templates left unresolved
+ * @param {Array<Object>} placeholders - From takeUnresolvedPlaceholders()
+ * @param {boolean} strict - Whether they fail the installation
+ */
+function displayUnresolvedPlaceholders(placeholders, strict) {
+    const packageRoot = path.join(__dirname, '..');
+    const color = strict ? chalk.red : chalk.yellow;
+
+    console.log(color(`\n${strict ? '❌' : '⚠️ '} ${placeholders.length} unresolved template placeholder(s):`));
+    for (const { file, line, placeholder } of placeholders) {
+        console.log(color('  •'), `${path.relative(packageRoot, file)}:${line}`, chalk.gray(placeholder));
+    }
+    console.log(chalk.gray('   Escape literal braces in templates as \\{{ (e.g. $\\{{ matrix.os }})'));
+}
+
+/**
+ * Display the dry-run plan: one line per file, plus unified diffs on request
+ * @param {string} projectRoot - Path to project root
+ * @param {Array<Object>} changes - Staged changes from createStagedFs().getChanges()
+ * @param {Object} manifest - Install manifest from this run
+ * @param {boolean} showDiff - Print unified diffs for updated files
+ */
+function displayDryRunPlan(projectRoot, changes, manifest, showDiff) {
+    const toRelative = filePath => path.relative(projectRoot, filePath).split(path.sep).join('/');
+    const labels = {
+        create: chalk.green('  + create   '),
+        update: chalk.blue('  ~ update   '),
+        unchanged: chalk.gray('  = unchanged'),
+        skip: chalk.yellow('  - skip     ')
+    };
+
+    // Base snapshots are installer bookkeeping, not project files
+    const visible = changes.filter(change => !toRelative(change.path).startsWith(`${BASE_SNAPSHOT_DIR}/`));
+
+    const plan = visible.map(change => ({ ...change, file: toRelative(change.path) }));
+
+    // Template files whose rendered content already matches are recorded but never written
+    const planned = new Set([...plan.map(entry => entry.file), ...manifest.customized, ...manifest.skipped]);
+    for (const file of Object.keys(manifest.files)) {
+        if (!planned.has(file)) {
+            plan.push({ action: 'unchanged', file });
+        }
+    }
+    for (const file of manifest.customized) {
+        plan.push({ action: 'skip', file, reason: 'customized' });
+    }
+    for (const file of manifest.skipped) {
+        plan.push({ action: 'skip', file, reason: 'already exists' });
+    }
+    plan.sort((a, b) => a.file.localeCompare(b.file));
+
+    console.log(chalk.cyan.bold('\n' + '='.repeat(60)));
+    console.log(chalk.cyan.bold('  🔍 Dry Run Plan (no files were written)'));
+    console.log(chalk.cyan.bold('='.repeat(60) + '\n'));
+
+    for (const entry of plan) {
+        const note = entry.reason ? chalk.gray(` (${entry.reason})`) : '';
+        console.log(labels[entry.action], entry.file + note);
+    }
+
+    const counts = { create: 0, update: 0, unchanged: 0, skip: 0 };
+    plan.forEach(entry => counts[entry.action]++);
+    console.log(chalk.white(`\n📊 ${counts.create} to create, ${counts.update} to update, ${counts.unchanged} unchanged, ${counts.skip} skipped`));
+
+    if (showDiff) {
+        // Skip binary content (anything containing a NUL byte)
+        const updates = plan.filter(entry =>
+            entry.action === 'update' && !entry.before.includes(0) && !entry.after.includes(0)
+        );
+
+        for (const entry of updates) {
+            const patch = createTwoFilesPatch(
+                `a/${entry.file}`,
+                `b/${entry.file}`,
+                entry.before.toString('utf8'),
+                entry.after.toString('utf8')
+            );
+
+            console.log();
+            for (const line of patch.split('\n').slice(1)) {
+                if (line.startsWith('+') && !line.startsWith('+++')) {
+                    console.log(chalk.green(line));
+                } else if (line.startsWith('-') && !line.startsWith('---')) {
+                    console.log(chalk.red(line));
+                } else if (line.startsWith('@@')) {
+                    console.log(chalk.cyan(line));
+                } else {
+                    console.log(line);
+                }
+            }
+        }
+    } else if (counts.update > 0) {
+        console.log(chalk.gray('   Add --diff to see what would change in existing files'));
+    }
+
+    console.log(chalk.gray('\nRun without --dry-run to perform the installation\n'));
+}
+
 /**
  * Display success message with next steps
  * @param {Object} config - User configuration
  * @param {Object} stats - Installation statistics
+ * @param {string} projectRoot - Project root directory
  */
-function displaySuccess(config, stats) {
+function displaySuccess(config, stats, projectRoot) {
     console.log(chalk.green.bold('\n' + '='.repeat(60)));
     console.log(chalk.green.bold('  ✅ Installation Complete!'));
     console.log(chalk.green.bold('='.repeat(60)));
@@ -142,12 +286,24 @@ function displaySuccess(config, stats) {
     console.log(chalk.gray('  npm run worktree:list           - List all worktrees'));
     console.log(chalk.gray('  npm run worktree:merge <name>   - Merge worktree to current branch'));
     console.log(chalk.gray('  npm run worktree:remove <name>  - Remove a worktree'));
+    console.log(chalk.gray('  npm run worktree:prune          - Remove merged and orphaned worktrees'));
+    console.log(chalk.gray('  npm run worktree:sync <name>    - Rebase worktrees onto their parent branches (-- --all)'));
 
     console.log(chalk.white('\n📖 Documentation:\n'));
-    console.log(chalk.gray('  docs/worktrees/WORKTREES.md           - Worktree workflow guide'));
-    console.log(chalk.gray('  docs/worktrees/GIT_WORKFLOW.md        - Git best practices'));
-    console.log(chalk.gray('  docs/worktrees/PARALLEL_TESTING.md    - Parallel testing setup'));
-    console.log(chalk.gray('  docs/worktrees/TROUBLESHOOTING.md     - Common issues & solutions'));
+    const docs = [
+        ['WORKTREES.md', 'Worktree workflow guide'],
+        ['GIT_WORKFLOW.md', 'Git best practices'],
+        ['PARALLEL_TESTING.md', 'Parallel testing setup'],
+        ['TROUBLESHOOTING.md', 'Common issues & solutions']
+    ];
+
+    // Only list the docs this project has (some are AWS-only)
+    for (const [file, description] of docs) {
+        const docPath = `docs/worktrees/${file}`;
+        if (existsSync(path.join(projectRoot, docPath))) {
+            console.log(chalk.gray(`  ${docPath.padEnd(38)}- ${description}`));
+        }
+    }
 
     console.log(chalk.green.bold('\n' + '='.repeat(60) + '\n'));
 }
@@ -160,8 +316,15 @@ function displaySuccess(config, stats) {
 export async function runCLI(options = {}) {
     const {
         dryRun = false,
+        showDiff = false,
         addAWS = false,
-        forceUpdate = false
+        forceUpdate = false,
+        mergeUpdate = false,
+        strict = false,
+        nonInteractive = false,
+        projectName = null,
+        githubOwner = null,
+        configFile = null
     } = options;
 
     try {
@@ -200,18 +363,46 @@ export async function runCLI(options = {}) {
         }
         console.log(chalk.green('  ✓ Git repository found'));
 
+        // Every write goes to an in-memory staged file system first and is applied
+        // in one step at the end (or just reported, for a dry run)
+        const stagedFs = createStagedFs();
+
         // Step 5: Validate package.json (create if missing)
         if (!await validatePackageJson(projectRoot)) {
             console.log(chalk.yellow('  ⚠ No package.json found - creating default...'));
-            await createDefaultPackageJson(projectRoot);
+            await createDefaultPackageJson(projectRoot, stagedFs);
             console.log(chalk.green('  ✓ Created package.json'));
         } else {
             console.log(chalk.green('  ✓ package.json found'));
         }
 
-        // Step 6: Run interactive prompts
+        // Step 6: Collect project information (prompts, or flags/config file in non-interactive mode)
         console.log();
-        const config = await askProjectInfo(projectRoot, existingWorktreeConfig?.config, addAWS);
+        let config;
+        try {
+            const overrides = configFile ? await loadConfigFile(configFile, projectRoot) : {};
+            if (projectName) {
+                overrides.projectName = projectName;
+            }
+            if (githubOwner) {
+                overrides.githubUsername = githubOwner;
+            }
+
+            if (nonInteractive) {
+                config = await resolveProjectInfo(projectRoot, overrides, existingWorktreeConfig?.config, addAWS);
+            } else {
+                const defaults = Object.keys(overrides).length > 0
+                    ? { ...existingWorktreeConfig?.config, ...overrides }
+                    : existingWorktreeConfig?.config;
+                config = await askProjectInfo(projectRoot, defaults, addAWS);
+                if (overrides.useAWS === true) {
+                    config.useAWS = true;
+                }
+            }
+        } catch (error) {
+            console.log(chalk.red('❌ Error:'), error.message, '\n');
+            process.exit(1);
+        }
 
         // Apply CLI flags
         if (addAWS) {
@@ -220,7 +411,7 @@ export async function runCLI(options = {}) {
 
         // Step 7: Validate no conflicts
         console.log(chalk.cyan('\nChecking for conflicts...'));
-        const { valid, conflicts } = await validateNoConflicts(projectRoot, config.useAWS);
+        const { valid, conflicts } = await validateNoConflicts(projectRoot, config.useAWS, existingWorktreeConfig?.manifest);
 
         // Display all conflicts
         for (const conflict of conflicts) {
@@ -240,20 +431,25 @@ export async function runCLI(options = {}) {
             console.log(chalk.green('  ✓ No conflicts detected'));
         }
 
-        // Step 8: Display summary and get confirmation
-        const confirmed = await confirmInstallation(config, conflicts);
+        // Step 8: Display summary and get confirmation (implicit in non-interactive mode)
+        let confirmed = true;
+        if (nonInteractive) {
+            displayInstallationSummary(config, conflicts);
+            console.log(chalk.gray('Non-interactive mode - proceeding without confirmation'));
+        } else {
+            confirmed = await confirmInstallation(config, conflicts);
+        }
 
         if (!confirmed) {
             console.log(chalk.yellow('\n⚠ Installation cancelled by user\n'));
             process.exit(0);
         }
 
-        // Step 9: Dry run mode
+        // Step 9: Stage all writes (a dry run only reports them)
         if (dryRun) {
-            console.log(chalk.cyan('\n🔍 Dry run mode - no files will be copied'));
-            console.log(chalk.gray('Run without --dry-run to perform actual installation\n'));
-            process.exit(0);
+            console.log(chalk.cyan('\n🔍 Dry run mode - simulating installation, no files will be written'));
         }
+        setFileSystem(stagedFs);
 
         // Step 10: Warning for force update
         if (forceUpdate) {
@@ -275,8 +471,11 @@ export async function runCLI(options = {}) {
         // Build replacements (including detected root branch)
         const replacements = buildReplacements(config, rootBranch);
 
+        // Track installed files so the next upgrade can detect customizations
+        const manifest = createManifest(existingWorktreeConfig?.manifest, PACKAGE_VERSION, projectRoot, forceUpdate, mergeUpdate);
+
         // Install template files
-        const stats = await installTemplateFiles(templateRoot, projectRoot, config, replacements, forceUpdate);
+        const stats = await installTemplateFiles(templateRoot, projectRoot, config, replacements, forceUpdate, manifest);
 
         // Step 11: Update package.json
         console.log(chalk.cyan('\n📝 Updating package.json...'));
@@ -295,7 +494,7 @@ export async function runCLI(options = {}) {
 
         // Step 13a: Copy Claude Code skills and commands
         console.log(chalk.cyan('\n🎯 Setting up Claude Code skills and commands...'));
-        await copyClaudeConfig(templateRoot, projectRoot, replacements);
+        await copyClaudeConfig(templateRoot, projectRoot, replacements, manifest);
         console.log(chalk.green('  ✓ Installed DevOps skill and /worktree-merge command'));
 
         // Step 13b: Update existing worktrees
@@ -313,13 +512,46 @@ export async function runCLI(options = {}) {
 
         // Step 14: Save configuration
         console.log(chalk.cyan('\n💾 Saving configuration...'));
-        await saveWorktreeConfig(projectRoot, config, PACKAGE_VERSION);
+        await saveWorktreeConfig(projectRoot, config, PACKAGE_VERSION, manifest);
+
+        setFileSystem(null);
+        const changes = await stagedFs.getChanges();
+
+        // Templates must not leave {{...}} behind; in strict mode that stops the install
+        const unresolved = takeUnresolvedPlaceholders();
+        if (unresolved.length > 0) {
+            displayUnresolvedPlaceholders(unresolved, strict);
+            if (strict) {
+                console.log(chalk.red('\n❌ Installation aborted (--strict) - no files were written\n'));
+                process.exit(1);
+            }
+        }
+
+        // Step 15: Display the plan for a dry run
+        if (dryRun) {
+            displayDryRunPlan(projectRoot, changes, manifest, showDiff);
+            return;
+        }
+
+        // Step 16: Apply staged changes, backing up every overwritten file
+        console.log(chalk.cyan('\n💾 Writing files...'));
+        const backup = await commitChanges(projectRoot, changes, PACKAGE_VERSION);
+        if (backup) {
+            console.log(chalk.green(`  ✓ Wrote ${backup.created.length + backup.overwritten.length} file(s)`));
+            if (backup.overwritten.length > 0) {
+                console.log(chalk.gray(`    Originals backed up to ${BACKUP_DIR}/${path.basename(backup.path)}`));
+            }
+        } else {
+            console.log(chalk.gray('  ℹ Everything is already up to date'));
+        }
 
-        // Step 15: Display success message
-        displaySuccess(config, stats);
+        displaySuccess(config, stats, projectRoot);
+        displayCustomizedFiles(manifest);
 
     } catch (error) {
+        setFileSystem(null);
         console.log(chalk.red('\n❌ Fatal error:'), error.message);
+        console.log(chalk.gray('   Your project files were left unchanged.'));
         console.log(chalk.gray('\nStack trace:'));
         console.log(chalk.gray(error.stack));
         console.log();
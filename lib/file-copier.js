@@ -3,11 +3,63 @@
  * Handles copying template files with variable replacement
  */
 
-import fs from 'fs-extra';
+import fsExtra from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
 import chalk from 'chalk';
-import { processTemplateFile, replaceVariables } from './template-processor.js';
+import { renderTemplate } from './template-processor.js';
+import {
+    BASE_SNAPSHOT_DIR,
+    hashContent,
+    getManifestKey,
+    getBaseSnapshotPath,
+    getFileStatus,
+    recordFile,
+    recordMerged,
+    recordCustomized,
+    recordSkipped,
+    serializeManifest
+} from './manifest.js';
+import { mergeFileContents } from './merge.js';
+
+// File system used for every project read and write.
+// Replaced with a staged file system while installing (see staged-fs.js)
+let fs = fsExtra;
+
+// Placeholders left unresolved by rendered templates, keyed by "<template path>:<line>:<placeholder>"
+const unresolvedPlaceholders = new Map();
+
+// Files in templates/test that only the AWS setup installs (they used to live in test-aws/);
+// entries ending in "/" cover a whole directory
+const AWS_TEST_FILES = [
+    '.env.example',
+    'docker-compose.yml',
+    'docker-compose.override.yml',
+    'vitest.config.mjs',
+    'vitest.setup.mjs',
+    'helpers/',
+    'tests/integration/',
+    'tests/unit/'
+];
+
+/**
+ * Set the file system used by the copy functions
+ * @param {Object|null} fileSystem - fs-extra compatible implementation, or null to restore fs-extra
+ */
+export function setFileSystem(fileSystem) {
+    fs = fileSystem || fsExtra;
+}
+
+/**
+ * Get the placeholders left unresolved by templates rendered so far, and reset the list
+ * @returns {Array<{file: string, line: number, placeholder: string}>} Sorted by file and line
+ */
+export function takeUnresolvedPlaceholders() {
+    const entries = [...unresolvedPlaceholders.values()];
+    unresolvedPlaceholders.clear();
+
+    return entries.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
 
 /**
  * Copy template directory to destination with variable replacement
@@ -15,10 +67,12 @@ import { processTemplateFile, replaceVariables } from './template-processor.js';
  * @param {string} destDir - Destination directory
  * @param {Object} replacements - Variables to replace
  * @param {Array<string>} skipPatterns - Patterns to skip
- * @param {boolean} forceUpdate - Always overwrite existing files
+ * @param {boolean|function(string): boolean} forceUpdate - Always overwrite existing files
+ *   (or a function deciding it for each file, given its path relative to sourceDir)
+ * @param {Object|null} manifest - Install manifest (see manifest.js)
  * @returns {Promise<{copied: number, skipped: number, updated: number}>}
  */
-export async function copyTemplateFiles(sourceDir, destDir, replacements, skipPatterns = [], forceUpdate = false) {
+export async function copyTemplateFiles(sourceDir, destDir, replacements, skipPatterns = [], forceUpdate = false, manifest = null) {
     const stats = { copied: 0, skipped: 0, updated: 0 };
 
     // Ensure destination exists
@@ -40,39 +94,220 @@ export async function copyTemplateFiles(sourceDir, destDir, replacements, skipPa
         const sourcePath = path.join(sourceDir, file);
         const destPath = path.join(destDir, file);
 
-        // Ensure parent directory exists
-        await fs.ensureDir(path.dirname(destPath));
+        const force = typeof forceUpdate === 'function' ? forceUpdate(file) : forceUpdate;
+        const result = await copyTemplateFile(sourcePath, destPath, file, replacements, force, manifest);
+        stats[result]++;
+    }
 
-        // Check if file already exists
-        const fileExists = await fs.pathExists(destPath);
+    return stats;
+}
 
-        if (fileExists && !forceUpdate) {
-            console.log(chalk.yellow('  ⚠ Skipped:'), file, chalk.gray('(already exists)'));
-            stats.skipped++;
-            continue;
+/**
+ * Copy a single template file with variable replacement
+ *
+ * Without a manifest, existing files are skipped unless forceUpdate is set.
+ * With a manifest, existing files the user never touched are updated,
+ * customized files are reported and kept (unless manifest.force), and
+ * files unknown to the manifest fall back to the forceUpdate rule.
+ *
+ * @param {string} sourcePath - Source template file
+ * @param {string} destPath - Destination file
+ * @param {string} displayName - Name shown in progress output
+ * @param {Object} replacements - Variables to replace
+ * @param {boolean} forceUpdate - Overwrite existing files not tracked by the manifest
+ * @param {Object|null} manifest - Install manifest (see manifest.js)
+ * @returns {Promise<'copied'|'updated'|'skipped'>} Action taken
+ */
+export async function copyTemplateFile(sourcePath, destPath, displayName, replacements, forceUpdate = false, manifest = null) {
+    // Ensure parent directory exists
+    await fs.ensureDir(path.dirname(destPath));
+
+    // Check if file already exists
+    const fileExists = await fs.pathExists(destPath);
+
+    if (fileExists && !manifest && !forceUpdate) {
+        console.log(chalk.yellow('  ⚠ Skipped:'), displayName, chalk.gray('(already exists)'));
+        return 'skipped';
+    }
+
+    // Process text files with template processor, copy binary files as-is
+    const content = isTextFile(destPath)
+        ? await renderTemplateSource(sourcePath, replacements)
+        : await fs.readFile(sourcePath);
+
+    // Templates that render to nothing (e.g. wrapped in {{#if useAWS}}) don't apply to this project
+    if (isTextFile(destPath) && content.trim() === '') {
+        return 'skipped';
+    }
+
+    const manifestKey = manifest ? getManifestKey(manifest, destPath) : null;
+
+    const currentContent = fileExists ? await fs.readFile(destPath) : null;
+
+    if (fileExists && hashContent(currentContent) === hashContent(content)) {
+        console.log(chalk.gray('  • Unchanged:'), displayName);
+        if (manifest) {
+            await recordInstalledFile(manifest, manifestKey, content);
         }
+        return 'skipped';
+    }
 
-        // Determine if file needs variable replacement
-        const needsReplacement = isTextFile(file);
+    if (fileExists && manifest) {
+        const status = getFileStatus(manifest, manifestKey, currentContent);
 
-        if (needsReplacement) {
-            // Process text files with template processor
-            await processTemplateFile(sourcePath, destPath, replacements);
-        } else {
-            // Copy binary files directly
-            await fs.copy(sourcePath, destPath);
+        if (status === 'customized' && !manifest.force) {
+            if (manifest.merge && isTextFile(destPath)) {
+                const merged = await mergeCustomizedFile(manifest, manifestKey, currentContent.toString('utf8'), content);
+
+                if (merged) {
+                    await fs.writeFile(destPath, merged.content);
+                    await recordInstalledFile(manifest, manifestKey, content);
+                    recordMerged(manifest, manifestKey, merged.conflicts);
+
+                    if (merged.conflicts > 0) {
+                        console.log(chalk.red('  ✗ Conflict:'), displayName, chalk.gray(`(${merged.conflicts} conflict(s) to resolve)`));
+                    } else {
+                        console.log(chalk.blue('  ⇄ Merged:'), displayName);
+                    }
+                    return 'updated';
+                }
+
+                console.log(chalk.magenta('  ✎ Customized:'), displayName, chalk.gray('(no base version recorded, kept your version)'));
+            } else {
+                console.log(chalk.magenta('  ✎ Customized:'), displayName, chalk.gray('(kept your version)'));
+            }
+            recordCustomized(manifest, manifestKey);
+            return 'skipped';
         }
 
-        if (fileExists) {
-            console.log(chalk.blue('  ↻ Updated:'), file);
-            stats.updated++;
-        } else {
-            console.log(chalk.green('  ✓ Copied:'), file);
-            stats.copied++;
+        if (status === 'untracked' && !forceUpdate) {
+            console.log(chalk.yellow('  ⚠ Skipped:'), displayName, chalk.gray('(already exists)'));
+            recordSkipped(manifest, manifestKey);
+            return 'skipped';
         }
     }
 
-    return stats;
+    await fs.writeFile(destPath, content);
+
+    if (manifest) {
+        await recordInstalledFile(manifest, manifestKey, content);
+    }
+
+    if (fileExists) {
+        console.log(chalk.blue('  ↻ Updated:'), displayName);
+        return 'updated';
+    }
+
+    console.log(chalk.green('  ✓ Copied:'), displayName);
+    return 'copied';
+}
+
+/**
+ * Read and render a template file, remembering any unresolved placeholders
+ * @param {string} sourcePath - Source template file
+ * @param {Object} replacements - Template data (see buildReplacements)
+ * @returns {Promise<string>} Rendered content
+ * @throws {Error} If the template is malformed (message includes the file)
+ */
+async function renderTemplateSource(sourcePath, replacements) {
+    let result;
+    try {
+        result = renderTemplate(await fs.readFile(sourcePath, 'utf8'), replacements);
+    } catch (error) {
+        throw new Error(`Invalid template ${sourcePath}: ${error.message}`);
+    }
+
+    for (const { line, placeholder } of result.unresolved) {
+        unresolvedPlaceholders.set(`${sourcePath}:${line}:${placeholder}`, { file: sourcePath, line, placeholder });
+    }
+
+    return result.content;
+}
+
+/**
+ * Write a generated file unless it already has this content
+ * @param {string} destPath - Destination file
+ * @param {string} content - Content to write
+ * @param {RegExp} [ignorePattern] - Global pattern for parts that may differ without
+ *   counting as a change (e.g. timestamps)
+ * @returns {Promise<'copied'|'updated'|'skipped'>} skipped if the file was unchanged
+ */
+async function writeFileIfChanged(destPath, content, ignorePattern = null) {
+    if (await fs.pathExists(destPath)) {
+        const strip = text => ignorePattern ? text.replace(ignorePattern, '') : text;
+        if (strip(await fs.readFile(destPath, 'utf8')) === strip(content)) {
+            return 'skipped';
+        }
+        await fs.writeFile(destPath, content, 'utf8');
+        return 'updated';
+    }
+
+    await fs.ensureDir(path.dirname(destPath));
+    await fs.writeFile(destPath, content, 'utf8');
+    return 'copied';
+}
+
+/**
+ * Render a template file to its destination, overwriting it if it changed
+ * @param {string} sourcePath - Source template file
+ * @param {string} destPath - Destination file
+ * @param {Object} replacements - Variables to replace
+ * @returns {Promise<'copied'|'updated'|'skipped'>} skipped if the template rendered to
+ *   nothing or the file was unchanged
+ */
+async function renderTemplateFile(sourcePath, destPath, replacements) {
+    const content = await renderTemplateSource(sourcePath, replacements);
+    if (content.trim() === '') {
+        return 'skipped';
+    }
+    return writeFileIfChanged(destPath, content);
+}
+
+/**
+ * Record an installed file in the manifest and keep its template content
+ * as the base for future three-way merges
+ * @param {Object} manifest - Install manifest
+ * @param {string} key - Manifest key of the file
+ * @param {string|Buffer} content - Template content that was installed
+ * @returns {Promise<void>}
+ */
+async function recordInstalledFile(manifest, key, content) {
+    recordFile(manifest, key, content);
+
+    const snapshotPath = getBaseSnapshotPath(manifest, key);
+    await fs.ensureDir(path.dirname(snapshotPath));
+    await fs.writeFile(snapshotPath, content);
+
+    // Keep the snapshot directory out of git without touching the project's .gitignore
+    const snapshotIgnore = path.join(manifest.projectRoot, BASE_SNAPSHOT_DIR, '.gitignore');
+    if (!await fs.pathExists(snapshotIgnore)) {
+        await fs.writeFile(snapshotIgnore, '*\n', 'utf8');
+    }
+}
+
+/**
+ * Three-way merge a customized file with the new template version
+ * @param {Object} manifest - Install manifest
+ * @param {string} key - Manifest key of the file
+ * @param {string} currentContent - The user's version ("ours")
+ * @param {string} templateContent - The new template version ("theirs")
+ * @returns {Promise<{content: string, conflicts: number}|null>} Merge result, or null if no base is available
+ */
+async function mergeCustomizedFile(manifest, key, currentContent, templateContent) {
+    const snapshotPath = getBaseSnapshotPath(manifest, key);
+
+    if (!await fs.pathExists(snapshotPath)) {
+        return null;
+    }
+
+    const baseContent = await fs.readFile(snapshotPath, 'utf8');
+    const baseVersion = manifest.previous[key]?.version || 'previous';
+
+    return mergeFileContents(currentContent, baseContent, templateContent, {
+        ours: `${key} (your version)`,
+        base: `${key} (template v${baseVersion})`,
+        theirs: `${key} (template v${manifest.version})`
+    });
 }
 
 /**
@@ -80,7 +315,7 @@ export async function copyTemplateFiles(sourceDir, destDir, replacements, skipPa
  * @param {string} filename - File name or path
  * @returns {boolean}
  */
-function isTextFile(filename) {
+export function isTextFile(filename) {
     const textExtensions = [
         '.js', '.mjs', '.cjs', '.ts', '.tsx',
         '.json', '.yml', '.yaml',
@@ -102,7 +337,9 @@ export function getWorktreeScripts() {
         'worktree:create': 'node scripts/worktree/create-worktree.mjs',
         'worktree:list': 'node scripts/worktree/list-worktrees.mjs',
         'worktree:merge': 'node scripts/worktree/merge-worktree.mjs',
-        'worktree:remove': 'node scripts/worktree/remove-worktree.mjs'
+        'worktree:remove': 'node scripts/worktree/remove-worktree.mjs',
+        'worktree:prune': 'node scripts/worktree/prune-worktrees.mjs',
+        'worktree:sync': 'node scripts/worktree/sync-worktrees.mjs'
     };
 }
 
@@ -181,9 +418,10 @@ export async function loadWorktreeConfig(projectRoot) {
  * @param {string} projectRoot - Path to project root
  * @param {Object} config - User configuration
  * @param {string} version - Package version
+ * @param {Object|null} manifest - Install manifest from this run (keeps the saved one if omitted)
  * @returns {Promise<void>}
  */
-export async function saveWorktreeConfig(projectRoot, config, version) {
+export async function saveWorktreeConfig(projectRoot, config, version, manifest = null) {
     const configPath = path.join(projectRoot, '.worktrees');
 
     const existingConfig = await loadWorktreeConfig(projectRoot);
@@ -198,10 +436,21 @@ export async function saveWorktreeConfig(projectRoot, config, version) {
             projectName: config.projectName,
             githubUsername: config.githubUsername,
             repositoryName: config.repositoryName,
-            useAWS: config.useAWS
+            useAWS: config.useAWS,
+            ...(config.tables && { tables: config.tables })
         }
     };
 
+    // Worktree script settings (ports, ...) are edited by hand - keep them
+    if (existingConfig?.worktree) {
+        worktreeConfig.worktree = existingConfig.worktree;
+    }
+
+    const manifestData = manifest ? serializeManifest(manifest) : existingConfig?.manifest;
+    if (manifestData) {
+        worktreeConfig.manifest = manifestData;
+    }
+
     await fs.writeJson(configPath, worktreeConfig, { spaces: 2 });
     console.log(chalk.green('  ✓ Saved configuration to .worktrees'));
 }
@@ -260,21 +509,12 @@ export async function updateGitignore(projectRoot, patterns) {
 }
 
 /**
- * Create CLAUDE_INSTRUCTIONS.md in root project
- * @param {string} projectRoot - Path to project root
+ * Get content of the root CLAUDE_INSTRUCTIONS.md
  * @param {string} rootBranch - Current root branch name
- * @returns {Promise<void>}
+ * @returns {string} File content
  */
-export async function createRootClaudeInstructions(projectRoot, rootBranch) {
-    const claudeInstructionsPath = path.join(projectRoot, 'CLAUDE_INSTRUCTIONS.md');
-
-    // Check if already exists
-    if (await fs.pathExists(claudeInstructionsPath)) {
-        console.log(chalk.yellow('  ⚠ CLAUDE_INSTRUCTIONS.md already exists'));
-        return;
-    }
-
-    const content = `# Claude Code Instructions - Root Branch
+export function getRootClaudeInstructions(rootBranch) {
+    return `# Claude Code Instructions - Root Branch
 
 ⚠️ **FORBIDDEN: Do NOT edit files directly in this directory**
 
@@ -310,11 +550,37 @@ You should ONLY be in this directory to:
 
 **Note**: This file is gitignored and won't be committed. It's for your local context.
 `;
+}
+
+/**
+ * Create CLAUDE_INSTRUCTIONS.md in root project
+ * @param {string} projectRoot - Path to project root
+ * @param {string} rootBranch - Current root branch name
+ * @returns {Promise<void>}
+ */
+export async function createRootClaudeInstructions(projectRoot, rootBranch) {
+    const claudeInstructionsPath = path.join(projectRoot, 'CLAUDE_INSTRUCTIONS.md');
+
+    // Check if already exists
+    if (await fs.pathExists(claudeInstructionsPath)) {
+        console.log(chalk.yellow('  ⚠ CLAUDE_INSTRUCTIONS.md already exists'));
+        return;
+    }
+
+    const content = getRootClaudeInstructions(rootBranch);
 
     await fs.writeFile(claudeInstructionsPath, content, 'utf8');
     console.log(chalk.green('  ✓ Created CLAUDE_INSTRUCTIONS.md'));
 }
 
+/**
+ * Get the CLAUDE_INSTRUCTIONS.md reference appended to CLAUDE.md
+ * @returns {string} Reference text
+ */
+export function getClaudeMdReference() {
+    return '\n\n⚠️ **IMPORTANT**: Read `CLAUDE_INSTRUCTIONS.md` for context before making changes in this repository.\n';
+}
+
 /**
  * Update or create CLAUDE.md with reference to CLAUDE_INSTRUCTIONS.md
  * @param {string} projectRoot - Path to project root
@@ -322,7 +588,7 @@ You should ONLY be in this directory to:
  */
 export async function updateClaudeMd(projectRoot) {
     const claudeMdPath = path.join(projectRoot, 'CLAUDE.md');
-    const reference = '\n\n⚠️ **IMPORTANT**: Read `CLAUDE_INSTRUCTIONS.md` for context before making changes in this repository.\n';
+    const reference = getClaudeMdReference();
 
     let content = '';
     let existed = false;
@@ -359,7 +625,7 @@ export async function updateClaudeMd(projectRoot) {
  * @param {boolean} forceUpdate - Force update of all files
  * @returns {Promise<Object>} Copy statistics
  */
-export async function installTemplateFiles(templateRoot, projectRoot, config, replacements, forceUpdate = false) {
+export async function installTemplateFiles(templateRoot, projectRoot, config, replacements, forceUpdate = false, manifest = null) {
     const stats = {
         scriptsWorktree: { copied: 0, skipped: 0, updated: 0 },
         docs: { copied: 0, skipped: 0, updated: 0 },
@@ -372,80 +638,46 @@ export async function installTemplateFiles(templateRoot, projectRoot, config, re
     console.log(chalk.cyan('\nCopying scripts/worktree/...'));
     const worktreeSource = path.join(templateRoot, 'scripts', 'worktree');
     const worktreeDest = path.join(projectRoot, 'scripts', 'worktree');
-    stats.scriptsWorktree = await copyTemplateFiles(worktreeSource, worktreeDest, replacements, [], true); // Always update
+    stats.scriptsWorktree = await copyTemplateFiles(worktreeSource, worktreeDest, replacements, [], true, manifest); // Always update
 
     // Always update: docs (documentation should be kept up to date)
+    // One template tree renders both variants through {{#if useAWS}} blocks
     console.log(chalk.cyan('\nCopying docs/worktrees/...'));
-    const docsBasicSource = path.join(templateRoot, 'docs-basic');
+    const docsSource = path.join(templateRoot, 'docs');
     const docsDest = path.join(projectRoot, 'docs', 'worktrees');
-    if (await fs.pathExists(docsBasicSource)) {
-        stats.docs = await copyTemplateFiles(docsBasicSource, docsDest, replacements, [], true); // Always update
+    if (await fs.pathExists(docsSource)) {
+        stats.docs = await copyTemplateFiles(docsSource, docsDest, replacements, [], true, manifest); // Always update
     } else {
-        console.log(chalk.yellow('  ⚠ docs-basic/ folder not found in templates'));
+        console.log(chalk.yellow('  ⚠ docs/ folder not found in templates'));
     }
 
-    // Always install: Basic test setup with Playwright
-    console.log(chalk.cyan('\nCopying basic test setup...'));
-    const testBasicSource = path.join(templateRoot, 'test-basic');
+    // Always install: test setup (Playwright, plus LocalStack and Vitest with AWS)
+    // The Playwright files are always updated; the AWS-only files follow the forceUpdate flag like .deploy/
+    console.log(chalk.cyan('\nCopying test setup...'));
+    const testSource = path.join(templateRoot, 'test');
     const testDest = path.join(projectRoot, 'test');
-    if (await fs.pathExists(testBasicSource)) {
-        stats.test = await copyTemplateFiles(testBasicSource, testDest, replacements, [], true); // Always update
+    if (await fs.pathExists(testSource)) {
+        const isAwsTestFile = file => AWS_TEST_FILES.some(pattern => (pattern.endsWith('/') ? file.startsWith(pattern) : file === pattern));
+        stats.test = await copyTemplateFiles(testSource, testDest, replacements, [], file => !isAwsTestFile(file) || forceUpdate, manifest);
     } else {
-        console.log(chalk.yellow('  ⚠ test-basic/ folder not found in templates'));
+        console.log(chalk.yellow('  ⚠ test/ folder not found in templates'));
     }
 
     // AWS-specific files
     if (config.useAWS) {
-        // Copy AWS-specific documentation
-        console.log(chalk.cyan('\nCopying AWS documentation...'));
-        const docsAwsSource = path.join(templateRoot, 'docs-aws');
-        if (await fs.pathExists(docsAwsSource)) {
-            const awsDocsStats = await copyTemplateFiles(docsAwsSource, docsDest, replacements, [], true);
-            stats.docs.copied += awsDocsStats.copied;
-            stats.docs.skipped += awsDocsStats.skipped;
-            stats.docs.updated += awsDocsStats.updated;
-        } else {
-            console.log(chalk.yellow('  ⚠ docs-aws/ folder not found in templates'));
-        }
-
         // Copy .deploy (use forceUpdate flag from config)
         console.log(chalk.cyan('\nCopying .deploy/...'));
         const deploySource = path.join(templateRoot, '.deploy');
         const deployDest = path.join(projectRoot, '.deploy');
-        stats.deploy = await copyTemplateFiles(deploySource, deployDest, replacements, [], forceUpdate);
-
-        // Copy AWS test infrastructure (LocalStack, etc.)
-        console.log(chalk.cyan('\nCopying AWS test infrastructure...'));
-        const testAwsSource = path.join(templateRoot, 'test-aws');
-        if (await fs.pathExists(testAwsSource)) {
-            const awsStats = await copyTemplateFiles(testAwsSource, testDest, replacements, [], forceUpdate);
-            stats.test.copied += awsStats.copied;
-            stats.test.skipped += awsStats.skipped;
-            stats.test.updated += awsStats.updated;
-        } else {
-            // Fallback to old 'test' directory if test-aws doesn't exist
-            console.log(chalk.yellow('  ⚠ test-aws/ folder not found, using test/ folder'));
-            const testSource = path.join(templateRoot, 'test');
-            if (await fs.pathExists(testSource)) {
-                const legacyStats = await copyTemplateFiles(testSource, testDest, replacements, [], forceUpdate);
-                stats.test.copied += legacyStats.copied;
-                stats.test.skipped += legacyStats.skipped;
-                stats.test.updated += legacyStats.updated;
-            }
-        }
+        stats.deploy = await copyTemplateFiles(deploySource, deployDest, replacements, [], forceUpdate, manifest);
 
         // Copy devops.yml
         console.log(chalk.cyan('\nCopying devops.yml...'));
         const devopsSource = path.join(templateRoot, 'devops.yml');
         const devopsDest = path.join(projectRoot, 'devops.yml');
         if (await fs.pathExists(devopsSource)) {
-            if (await fs.pathExists(devopsDest)) {
-                console.log(chalk.yellow('  ⚠ Skipped: devops.yml (already exists)'));
-            } else {
-                await processTemplateFile(devopsSource, devopsDest, replacements);
-                console.log(chalk.green('  ✓ Copied: devops.yml'));
-                stats.devops = true;
-            }
+            const result = await copyTemplateFile(devopsSource, devopsDest, 'devops.yml', replacements, forceUpdate, manifest);
+            stats.devops = result !== 'skipped';
         }
     }
 
@@ -457,9 +689,10 @@ export async function installTemplateFiles(templateRoot, projectRoot, config, re
  * @param {string} templateRoot - Template directory
  * @param {string} projectRoot - Target project root
  * @param {Object} replacements - Variable replacements
+ * @param {Object|null} manifest - Install manifest (see manifest.js)
  * @returns {Promise<{copied: number, skipped: number, updated: number}>}
  */
-export async function copyClaudeConfig(templateRoot, projectRoot, replacements) {
+export async function copyClaudeConfig(templateRoot, projectRoot, replacements, manifest = null) {
     const stats = { copied: 0, skipped: 0, updated: 0 };
 
     const claudeSource = path.join(templateRoot, '.claude');
@@ -477,7 +710,7 @@ export async function copyClaudeConfig(templateRoot, projectRoot, replacements)
 
     if (await fs.pathExists(skillsSource)) {
         console.log(chalk.cyan('  Copying skills...'));
-        const skillStats = await copyTemplateFiles(skillsSource, skillsDest, replacements, [], true);
+        const skillStats = await copyTemplateFiles(skillsSource, skillsDest, replacements, [], true, manifest);
         stats.copied += skillStats.copied;
         stats.skipped += skillStats.skipped;
         stats.updated += skillStats.updated;
@@ -489,7 +722,7 @@ export async function copyClaudeConfig(templateRoot, projectRoot, replacements)
 
     if (await fs.pathExists(commandsSource)) {
         console.log(chalk.cyan('  Copying commands...'));
-        const commandStats = await copyTemplateFiles(commandsSource, commandsDest, replacements, [], true);
+        const commandStats = await copyTemplateFiles(commandsSource, commandsDest, replacements, [], true, manifest);
         stats.copied += commandStats.copied;
         stats.skipped += commandStats.skipped;
         stats.updated += commandStats.updated;
@@ -500,16 +733,8 @@ export async function copyClaudeConfig(templateRoot, projectRoot, replacements)
     const readmeDest = path.join(claudeDest, 'README.md');
 
     if (await fs.pathExists(readmeSource)) {
-        const fileExists = await fs.pathExists(readmeDest);
-        await processTemplateFile(readmeSource, readmeDest, replacements);
-
-        if (fileExists) {
-            console.log(chalk.blue('  ↻ Updated: .claude/README.md'));
-            stats.updated++;
-        } else {
-            console.log(chalk.green('  ✓ Copied: .claude/README.md'));
-            stats.copied++;
-        }
+        const result = await copyTemplateFile(readmeSource, readmeDest, '.claude/README.md', replacements, true, manifest);
+        stats[result]++;
     }
 
     return stats;
@@ -596,8 +821,7 @@ export async function updateWorktreeFiles(templateRoot, worktreePath, replacemen
         const readmeDest = path.join(claudeDest, 'README.md');
 
         if (await fs.pathExists(readmeSource)) {
-            await processTemplateFile(readmeSource, readmeDest, replacements);
-            stats.updated++;
+            stats[await renderTemplateFile(readmeSource, readmeDest, replacements)]++;
         }
     }
 
@@ -630,7 +854,7 @@ export async function updateWorktreeFiles(templateRoot, worktreePath, replacemen
         const testConfigFiles = [
             'vitest.config.mjs',
             'vitest.setup.mjs',
-            'playwright.config.cjs',
+            'playwright.config.js',
             'README.md'
         ];
 
@@ -639,19 +863,14 @@ export async function updateWorktreeFiles(templateRoot, worktreePath, replacemen
             const dest = path.join(testDest, configFile);
 
             if (await fs.pathExists(source)) {
-                await processTemplateFile(source, dest, replacements);
-                if (await fs.pathExists(dest)) {
-                    stats.updated++;
-                } else {
-                    stats.copied++;
-                }
+                stats[await renderTemplateFile(source, dest, replacements)]++;
             }
         }
     }
 
     // Update docs directory
     const docsSource = path.join(templateRoot, 'docs');
-    const docsDest = path.join(worktreePath, 'docs');
+    const docsDest = path.join(worktreePath, 'docs', 'worktrees');
 
     if (await fs.pathExists(docsSource)) {
         const docsStats = await copyTemplateFiles(docsSource, docsDest, replacements, [], true);
@@ -683,8 +902,7 @@ test/docker-compose.worktree.yml
 
     // Only add patterns if not already present
     if (!existingGitignore.includes('# Worktree-specific files')) {
-        await fs.writeFile(gitignorePath, existingGitignore + gitignorePatterns);
-        stats.updated++;
+        stats[await writeFileIfChanged(gitignorePath, existingGitignore + gitignorePatterns)]++;
     }
 
     // Regenerate CLAUDE_INSTRUCTIONS.md and CLAUDE.md with enhanced workspace boundary warnings
@@ -704,12 +922,24 @@ test/docker-compose.worktree.yml
     }
 
     const rootDir = path.dirname(path.dirname(worktreePath)); // .trees/branch -> ../ -> root
+    // Directory under .trees/ (the branch's safe name, e.g. feature-jira-123 for feature/JIRA-123)
+    const dirName = path.basename(worktreePath);
 
     // Regenerate CLAUDE_INSTRUCTIONS.md with enhanced workspace boundaries
     const claudeInstructionsPath = path.join(worktreePath, 'CLAUDE_INSTRUCTIONS.md');
+    const timestampPattern = /^\*\*(Created|Last Updated)\*\*: .*$/gm;
+    const now = new Date().toISOString();
+    let createdAt = now;
+
+    // Keep the original creation time when regenerating
+    if (await fs.pathExists(claudeInstructionsPath)) {
+        const existing = (await fs.readFile(claudeInstructionsPath, 'utf8')).match(/^\*\*Created\*\*: (.*)$/m);
+        createdAt = existing ? existing[1] : createdAt;
+    }
+
     const claudeInstructionsContent = `# Claude Code Instructions - Worktree: ${branchName}
 
-**Created**: ${new Date().toISOString()}
+**Created**: ${createdAt}
 **Branch**: ${branchName}
 **Parent Branch**: ${parentBranch}
 
@@ -717,7 +947,7 @@ test/docker-compose.worktree.yml
 
 ## ⚠️ CRITICAL: Working Directory Boundaries
 
-**YOU ARE IN A WORKTREE** (\`.trees/${branchName}/\`)
+**YOU ARE IN A WORKTREE** (\`.trees/${dirName}/\`)
 
 **IMPORTANT RULES:**
 
@@ -742,7 +972,7 @@ test/docker-compose.worktree.yml
 - The merge script handles bringing changes back to root safely
 
 **Safe operations from worktree:**
-- ✅ Modify any file in \`.trees/${branchName}/\`
+- ✅ Modify any file in \`.trees/${dirName}/\`
 - ✅ Run tests in \`test/\` directory
 - ✅ Commit changes with \`git commit\`
 - ✅ Run \`npm run worktree:merge ${branchName}\` from root (script handles it)
@@ -785,7 +1015,7 @@ Outline your implementation plan, architecture decisions, and key considerations
 ### 1. Make Changes
 \`\`\`bash
 # Work on your feature in this worktree
-# All file modifications stay within .trees/${branchName}/
+# All file modifications stay within .trees/${dirName}/
 \`\`\`
 
 ### 2. Commit Locally
@@ -823,17 +1053,16 @@ npm run worktree:remove ${branchName}
 
 ---
 
-**Last Updated**: ${new Date().toISOString()}
+**Last Updated**: ${now}
 `;
 
-    await fs.writeFile(claudeInstructionsPath, claudeInstructionsContent);
-    stats.updated++;
+    stats[await writeFileIfChanged(claudeInstructionsPath, claudeInstructionsContent, timestampPattern)]++;
 
     // Regenerate CLAUDE.md with enhanced workspace boundaries
     const claudeMdPath = path.join(worktreePath, 'CLAUDE.md');
     const claudeMdContent = `# ⚠️ WORKTREE WORKSPACE BOUNDARY
 
-**Current Location:** \`.trees/${branchName}/\`
+**Current Location:** \`.trees/${dirName}/\`
 **Working Directory:** \`${worktreePath}\`
 
 ---
@@ -894,8 +1123,7 @@ pwd  # Must show: ${worktreePath}
 ⚠️ **If Claude Code suggests modifying root files, STOP and confirm with the user first.**
 `;
 
-    await fs.writeFile(claudeMdPath, claudeMdContent);
-    stats.updated++;
+    stats[await writeFileIfChanged(claudeMdPath, claudeMdContent)]++;
 
     return stats;
 }
@@ -935,7 +1163,11 @@ export async function updateAllWorktrees(templateRoot, projectRoot, replacements
 }
 
 export default {
+    setFileSystem,
+    takeUnresolvedPlaceholders,
     copyTemplateFiles,
+    copyTemplateFile,
+    isTextFile,
     updatePackageJson,
     updateGitignore,
     getWorktreeScripts,
@@ -945,7 +1177,9 @@ export default {
     updateAllWorktrees,
     loadWorktreeConfig,
     saveWorktreeConfig,
+    getRootClaudeInstructions,
     createRootClaudeInstructions,
+    getClaudeMdReference,
     updateClaudeMd,
     installTemplateFiles,
     copyClaudeConfig
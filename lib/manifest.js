@@ -0,0 +1,174 @@
+/**
+ * Install Manifest
+ * Records the template version and SHA-256 of every installed file so that
+ * upgrades can tell untouched files from files the user customized
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+
+// Directory holding the template content of each installed file,
+// used as the common base when merging customized files on upgrade
+export const BASE_SNAPSHOT_DIR = '.worktrees-base';
+
+/**
+ * Hash file content
+ * @param {string|Buffer} content - File content
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Create a manifest for the current installation run
+ * @param {Object|null} previousManifest - Manifest saved in .worktrees by the last install
+ * @param {string} version - Package version being installed
+ * @param {string} projectRoot - Path to project root
+ * @param {boolean} force - Overwrite customized files (--force)
+ * @param {boolean} merge - Three-way merge customized files (--merge)
+ * @returns {Object} Manifest tracking object
+ */
+export function createManifest(previousManifest, version, projectRoot, force = false, merge = false) {
+    return {
+        version,
+        projectRoot,
+        force,
+        merge,
+        previous: previousManifest?.files || {},
+        files: {},
+        customized: [],
+        merged: [],
+        conflicted: [],
+        skipped: []
+    };
+}
+
+/**
+ * Convert an absolute destination path to its manifest key
+ * @param {Object} manifest - Manifest tracking object
+ * @param {string} destPath - Absolute destination path
+ * @returns {string} Project-relative path with forward slashes
+ */
+export function getManifestKey(manifest, destPath) {
+    return path.relative(manifest.projectRoot, destPath).split(path.sep).join('/');
+}
+
+/**
+ * Get the path of the base snapshot for a manifest entry
+ * @param {Object} manifest - Manifest tracking object
+ * @param {string} key - Manifest key of the file
+ * @returns {string} Absolute snapshot path
+ */
+export function getBaseSnapshotPath(manifest, key) {
+    return path.join(manifest.projectRoot, BASE_SNAPSHOT_DIR, ...key.split('/'));
+}
+
+/**
+ * Classify an existing file against the manifest
+ * @param {Object} manifest - Manifest tracking object
+ * @param {string} key - Manifest key of the file
+ * @param {string|Buffer} currentContent - Content currently on disk
+ * @returns {'untracked'|'unmodified'|'customized'} File status
+ */
+export function getFileStatus(manifest, key, currentContent) {
+    if (manifest.customized.includes(key)) {
+        return 'customized';
+    }
+
+    // A file already written earlier in this run (e.g. by an earlier template source)
+    // is treated as untracked, so later template sources follow their own overwrite rule
+    if (manifest.files[key]) {
+        return 'untracked';
+    }
+
+    const entry = manifest.previous[key];
+
+    if (!entry) {
+        return 'untracked';
+    }
+
+    return entry.hash === hashContent(currentContent) ? 'unmodified' : 'customized';
+}
+
+/**
+ * Record a file written by the installer
+ * @param {Object} manifest - Manifest tracking object
+ * @param {string} key - Manifest key of the file
+ * @param {string|Buffer} content - Content that was written
+ */
+export function recordFile(manifest, key, content) {
+    manifest.files[key] = {
+        version: manifest.version,
+        hash: hashContent(content)
+    };
+}
+
+/**
+ * Record a customized file that was merged with the new template
+ * Call recordFile with the new template content (not the merged result) as well,
+ * so the user's changes are still recognized as customizations on the next upgrade
+ * @param {Object} manifest - Manifest tracking object
+ * @param {string} key - Manifest key of the file
+ * @param {number} conflicts - Number of conflicts left in the file
+ */
+export function recordMerged(manifest, key, conflicts) {
+    (conflicts > 0 ? manifest.conflicted : manifest.merged).push(key);
+}
+
+/**
+ * Record a customized file that was left untouched
+ * Keeps the previous entry so the next upgrade still detects the customization
+ * @param {Object} manifest - Manifest tracking object
+ * @param {string} key - Manifest key of the file
+ */
+export function recordCustomized(manifest, key) {
+    if (manifest.previous[key]) {
+        manifest.files[key] = manifest.previous[key];
+    }
+    if (!manifest.customized.includes(key)) {
+        manifest.customized.push(key);
+    }
+}
+
+/**
+ * Record an existing untracked file that was left untouched
+ * @param {Object} manifest - Manifest tracking object
+ * @param {string} key - Manifest key of the file
+ */
+export function recordSkipped(manifest, key) {
+    if (!manifest.skipped.includes(key)) {
+        manifest.skipped.push(key);
+    }
+}
+
+/**
+ * Serialize manifest for .worktrees
+ * Entries from the previous install that were not visited this run are kept
+ * (e.g. AWS files when re-running without --add-aws)
+ * @param {Object} manifest - Manifest tracking object
+ * @returns {{files: Object}} Serializable manifest
+ */
+export function serializeManifest(manifest) {
+    const files = { ...manifest.previous, ...manifest.files };
+    const sorted = {};
+
+    for (const key of Object.keys(files).sort()) {
+        sorted[key] = files[key];
+    }
+
+    return { files: sorted };
+}
+
+export default {
+    hashContent,
+    createManifest,
+    getManifestKey,
+    getBaseSnapshotPath,
+    getFileStatus,
+    recordFile,
+    recordMerged,
+    recordCustomized,
+    recordSkipped,
+    serializeManifest
+};
@@ -0,0 +1,56 @@
+/**
+ * Three-way Merge
+ * Merges customized template files with a new template version using git merge-file
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Merge two versions of a file against their common base
+ * @param {string} ours - The user's current content
+ * @param {string} base - The template content that was originally installed
+ * @param {string} theirs - The new template content
+ * @param {Object} labels - Conflict marker labels
+ * @param {string} labels.ours - Label for the user's version
+ * @param {string} labels.base - Label for the base version
+ * @param {string} labels.theirs - Label for the new template version
+ * @returns {Promise<{content: string, conflicts: number}>} Merged content (with conflict markers if any)
+ * @throws {Error} If git merge-file fails
+ */
+export async function mergeFileContents(ours, base, theirs, labels = {}) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bws-merge-'));
+
+    try {
+        const oursPath = path.join(tmpDir, 'ours');
+        const basePath = path.join(tmpDir, 'base');
+        const theirsPath = path.join(tmpDir, 'theirs');
+
+        await fs.writeFile(oursPath, ours, 'utf8');
+        await fs.writeFile(basePath, base, 'utf8');
+        await fs.writeFile(theirsPath, theirs, 'utf8');
+
+        const result = spawnSync('git', [
+            'merge-file', '-p',
+            '-L', labels.ours || 'yours',
+            '-L', labels.base || 'base',
+            '-L', labels.theirs || 'template',
+            oursPath, basePath, theirsPath
+        ], { encoding: 'utf8' });
+
+        // git merge-file exits with the number of conflicts (capped at 127), or negative on error
+        if (result.error || result.status === null || result.status > 127) {
+            throw new Error(`git merge-file failed: ${result.error?.message || result.stderr.trim()}`);
+        }
+
+        return { content: result.stdout, conflicts: result.status };
+    } finally {
+        await fs.remove(tmpDir);
+    }
+}
+
+export default {
+    mergeFileContents
+};
@@ -5,6 +5,8 @@
 
 import inquirer from 'inquirer';
 import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
 import { detectProjectName, detectRepositoryName } from './validators.js';
 
 /**
@@ -58,17 +60,88 @@ export async function askProjectInfo(projectRoot, existingConfig = null, addAWS
         projectName: answers.projectName.trim(),
         githubUsername: answers.githubUsername.trim(),
         useAWS: addAWS, // Set based on --add-aws flag
-        repositoryName: detectedRepoName || existingConfig?.repositoryName || answers.projectName.trim()
+        repositoryName: detectedRepoName || existingConfig?.repositoryName || answers.projectName.trim(),
+        tables: existingConfig?.tables // Optional DynamoDB table list for the AWS templates
     };
 }
 
 /**
- * Display installation summary and ask for confirmation
+ * Load installer configuration from a JSON file
+ * Accepts the same shape that saveWorktreeConfig writes to .worktrees
+ * ({ version, config: {...} }) or a bare configuration object
+ * @param {string} configFile - Path to the configuration file
+ * @param {string} projectRoot - Path to project root (relative paths resolve from here)
+ * @returns {Promise<Object>} Configuration values
+ */
+export async function loadConfigFile(configFile, projectRoot) {
+    const configPath = path.resolve(projectRoot, configFile);
+
+    if (!await fs.pathExists(configPath)) {
+        throw new Error(`Config file not found: ${configPath}`);
+    }
+
+    let data;
+    try {
+        data = await fs.readJson(configPath);
+    } catch (error) {
+        throw new Error(`Config file is not valid JSON: ${configPath} (${error.message})`);
+    }
+
+    if (typeof data !== 'object' || data === null) {
+        throw new Error(`Config file must contain a JSON object: ${configPath}`);
+    }
+
+    return data.config && typeof data.config === 'object' ? data.config : data;
+}
+
+/**
+ * Resolve project information without prompting
+ * Values are taken from CLI flags, then the config file, then the existing
+ * .worktrees configuration, then auto-detection
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} overrides - Values from CLI flags, config file and environment
+ * @param {Object} existingConfig - Optional existing configuration from .worktrees
+ * @param {boolean} addAWS - Whether --add-aws flag was passed
+ * @returns {Promise<Object>} Configuration object
+ * @throws {Error} When a required value cannot be resolved
+ */
+export async function resolveProjectInfo(projectRoot, overrides = {}, existingConfig = null, addAWS = false) {
+    const detectedName = await detectProjectName(projectRoot);
+    const detectedRepoName = await detectRepositoryName(projectRoot);
+
+    const projectName = (overrides.projectName || existingConfig?.projectName || detectedName || '').trim();
+    const githubUsername = (overrides.githubUsername || existingConfig?.githubUsername || '').trim();
+
+    const missing = [];
+    if (!projectName) {
+        missing.push('project name (--project-name or BWS_PROJECT_NAME)');
+    }
+    if (!githubUsername) {
+        missing.push('GitHub owner (--github-owner or BWS_GITHUB_OWNER)');
+    }
+
+    if (missing.length > 0) {
+        throw new Error(
+            `Missing required values for non-interactive install: ${missing.join(', ')}. ` +
+            'Pass them as flags, set the environment variables, or provide --config <file>.'
+        );
+    }
+
+    return {
+        projectName,
+        githubUsername,
+        useAWS: addAWS || overrides.useAWS === true,
+        repositoryName: overrides.repositoryName || detectedRepoName || existingConfig?.repositoryName || projectName,
+        tables: overrides.tables || existingConfig?.tables
+    };
+}
+
+/**
+ * Display installation summary
  * @param {Object} config - Configuration from askProjectInfo
  * @param {Array} conflicts - Array of conflicts from validation
- * @returns {Promise<boolean>} True if user confirms
  */
-export async function confirmInstallation(config, conflicts = []) {
+export function displayInstallationSummary(config, conflicts = []) {
     console.log(chalk.cyan('\n' + '='.repeat(50)));
     console.log(chalk.cyan.bold('  Installation Summary'));
     console.log(chalk.cyan('='.repeat(50)));
@@ -105,6 +178,16 @@ export async function confirmInstallation(config, conflicts = []) {
     }
 
     console.log(chalk.cyan('\n' + '='.repeat(50) + '\n'));
+}
+
+/**
+ * Display installation summary and ask for confirmation
+ * @param {Object} config - Configuration from askProjectInfo
+ * @param {Array} conflicts - Array of conflicts from validation
+ * @returns {Promise<boolean>} True if user confirms
+ */
+export async function confirmInstallation(config, conflicts = []) {
+    displayInstallationSummary(config, conflicts);
 
     const { confirmed } = await inquirer.prompt([{
         type: 'confirm',
@@ -116,7 +199,42 @@ export async function confirmInstallation(config, conflicts = []) {
     return confirmed;
 }
 
+/**
+ * Ask for confirmation before uninstalling
+ * @returns {Promise<boolean>} True if user confirms
+ */
+export async function confirmUninstall() {
+    const { confirmed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Proceed with uninstall?',
+        default: false
+    }]);
+
+    return confirmed;
+}
+
+/**
+ * Ask for confirmation before rolling back an installation
+ * @returns {Promise<boolean>} True if user confirms
+ */
+export async function confirmRollback() {
+    const { confirmed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Restore these files?',
+        default: false
+    }]);
+
+    return confirmed;
+}
+
 export default {
     askProjectInfo,
-    confirmInstallation
+    loadConfigFile,
+    resolveProjectInfo,
+    displayInstallationSummary,
+    confirmInstallation,
+    confirmUninstall,
+    confirmRollback
 };
@@ -0,0 +1,109 @@
+/**
+ * Staged File System
+ * An in-memory layer over the real file system: reads fall through to disk,
+ * writes are kept in memory so the installer can be run without touching the project
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Convert staged content to the representation readFile would return
+ * @param {string|Buffer} content - Staged content
+ * @param {string|Object} [options] - Encoding or options object
+ * @returns {string|Buffer}
+ */
+function toReadResult(content, options) {
+    const encoding = typeof options === 'string' ? options : options?.encoding;
+
+    if (encoding) {
+        return Buffer.isBuffer(content) ? content.toString(encoding) : content;
+    }
+
+    return Buffer.isBuffer(content) ? content : Buffer.from(content);
+}
+
+/**
+ * Create a staged file system
+ * Implements the subset of fs-extra used by file-copier.js.
+ * readdir reflects the disk only (it is used for template and .trees/ listings).
+ * @param {Object} baseFs - File system to read through to (default: fs-extra)
+ * @returns {Object} Staged file system
+ */
+export function createStagedFs(baseFs = fs) {
+    // Absolute path -> staged content (string or Buffer)
+    const staged = new Map();
+
+    const readFile = async (filePath, options) => {
+        const resolved = path.resolve(filePath);
+        if (staged.has(resolved)) {
+            return toReadResult(staged.get(resolved), options);
+        }
+        return baseFs.readFile(resolved, options);
+    };
+
+    const writeFile = async (filePath, content) => {
+        staged.set(path.resolve(filePath), Buffer.isBuffer(content) ? Buffer.from(content) : String(content));
+    };
+
+    return {
+        async pathExists(filePath) {
+            const resolved = path.resolve(filePath);
+            if (staged.has(resolved)) {
+                return true;
+            }
+            for (const stagedPath of staged.keys()) {
+                if (stagedPath.startsWith(resolved + path.sep)) {
+                    return true;
+                }
+            }
+            return baseFs.pathExists(resolved);
+        },
+
+        readFile,
+        writeFile,
+
+        async ensureDir() {
+            // Directories are implied by staged files
+        },
+
+        async readJson(filePath) {
+            return JSON.parse(await readFile(filePath, 'utf8'));
+        },
+
+        async writeJson(filePath, data, options = {}) {
+            await writeFile(filePath, JSON.stringify(data, null, options.spaces) + '\n');
+        },
+
+        async readdir(dirPath, options) {
+            return baseFs.readdir(dirPath, options);
+        },
+
+        /**
+         * List staged writes compared with the disk
+         * @returns {Promise<Array<{path: string, action: 'create'|'update'|'unchanged', before: Buffer|null, after: Buffer}>>}
+         */
+        async getChanges() {
+            const changes = [];
+
+            for (const [filePath, content] of staged) {
+                const after = toReadResult(content);
+                const exists = await baseFs.pathExists(filePath);
+                const before = exists ? await baseFs.readFile(filePath) : null;
+
+                let action = 'create';
+                if (before) {
+                    action = before.equals(after) ? 'unchanged' : 'update';
+                }
+
+                changes.push({ path: filePath, action, before, after });
+            }
+
+            return changes.sort((a, b) => a.path.localeCompare(b.path));
+        }
+    };
+}
+
+export default {
+    createStagedFs
+};
@@ -1,28 +1,298 @@
 /**
  * Template Variable Processor
  * Replaces template placeholders with actual values
+ *
+ * Supported syntax:
+ *   {{KEY}}                          - Value of KEY (dotted paths like {{table.name}} work too)
+ *   {{#if key}}...{{else}}...{{/if}} - Render a section only when key is truthy (empty arrays are falsy)
+ *   {{#each list}}...{{/each}}       - Render a section once per item; inside it, item properties
+ *                                      are in scope, along with {{this}}, {{@index}}, @first and @last
+ *
+ *   {{KEY | filter | filter:arg}}    - Value passed through filters, left to right (see FILTERS)
+ *   \{{                              - A literal "{{" (e.g. GitHub Actions $\{{ matrix.os }})
+ *
+ * A block tag on a line of its own takes the whole line with it, so blocks
+ * don't leave blank lines behind. Placeholders without a value, and any other
+ * unescaped "{{...}}", are left as-is and reported by renderTemplate.
  */
 
 import { readFile, writeFile } from 'fs/promises';
 
+// Block tags: {{#if key}}, {{#each key}}, {{else}}, {{/if}}, {{/each}} (not when escaped as \{{)
+const BLOCK_TAG_PATTERN = /(?<!\\)\{\{(?:#(if|each)\s+([\w@.]+)|(else)|\/(if|each))\}\}/g;
+
+// Inside text: an escaped \{{, or anything between {{ and }}
+const TEXT_TOKEN_PATTERN = /\\\{\{|\{\{([^{}]*)\}\}/g;
+
+// Value placeholders: {{KEY}}, {{table.name}}, {{@index}}
+const VARIABLE_PATTERN = /^[\w@]+(?:\.[\w@]+)*$/;
+
 /**
- * Replace template variables in content
- * @param {string} content - The content to process
- * @param {Object} replacements - Key-value pairs for replacement
- * @returns {string} Processed content
+ * Value filters, applied as {{KEY | name}} or {{KEY | name:arg}}
+ * Each takes the value as a string (plus the optional argument) and returns a string.
  */
-export function replaceVariables(content, replacements) {
-    let result = content;
+const FILTERS = {
+    // "My Project" -> "my project"
+    lower: value => value.toLowerCase(),
+
+    // "My Project_v2" -> "my-project-v2" (also splits camelCase); safe for Docker and npm names
+    kebab: value => value
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, ''),
+
+    // Escape for use inside a double-quoted JSON string: "name": "{{PROJECT_NAME | json}}"
+    json: value => JSON.stringify(value).slice(1, -1),
+
+    // Escape for use inside a double-quoted YAML string: name: "{{PROJECT_NAME | yaml}}"
+    // (JSON string escapes are valid in YAML double-quoted scalars)
+    yaml: value => JSON.stringify(value).slice(1, -1),
 
-    for (const [key, value] of Object.entries(replacements)) {
-        const placeholder = `{{${key}}}`;
-        const regex = new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-        result = result.replace(regex, value);
+    // Valid S3 bucket name: lowercase letters, digits and hyphens,
+    // starting and ending with a letter or digit, 3 to 63 characters
+    s3bucket: value => {
+        const name = FILTERS.kebab(value).slice(0, 63).replace(/-+$/, '');
+        return name.length >= 3 ? name : `${name || 'app'}-s3`.replace(/^-/, '');
+    },
+
+    // First N characters: {{PROJECT_NAME | truncate:20}}
+    truncate: (value, length) => {
+        const max = Number.parseInt(length, 10);
+        if (!Number.isInteger(max) || max < 0) {
+            throw new Error(`truncate needs a length, e.g. truncate:20 (got "${length ?? ''}")`);
+        }
+        return value.slice(0, max);
+    }
+};
+
+// DynamoDB tables created in LocalStack when the project config does not list any
+const DEFAULT_TABLES = [
+    { name: 'DEMO_ITEMS', partitionKey: 'ITEM_ID' },
+    { name: 'DEMO_USERS', partitionKey: 'USER_ID' }
+];
+
+/**
+ * Get the line boundaries around a tag if the tag is alone on its line
+ * @param {string} content - Template content
+ * @param {number} start - Tag start index
+ * @param {number} end - Tag end index
+ * @returns {{start: number, end: number}} Range to remove for the tag
+ */
+function getStandaloneRange(content, start, end) {
+    const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+    const newline = content.indexOf('\n', end);
+    const lineEnd = newline === -1 ? content.length : newline + 1;
+
+    const before = content.slice(lineStart, start);
+    const after = content.slice(end, lineEnd);
+
+    if (/^[ \t]*$/.test(before) && /^[ \t]*\r?\n?$/.test(after)) {
+        return { start: lineStart, end: lineEnd };
+    }
+
+    return { start, end };
+}
+
+/**
+ * Parse template content into a tree of text and block nodes
+ * @param {string} content - Template content
+ * @returns {Array<Object>} Nodes
+ * @throws {Error} If blocks are not properly opened and closed
+ */
+function parseTemplate(content) {
+    const root = { type: 'root', children: [] };
+    const stack = [{ node: root, target: root.children }];
+    let cursor = 0;
+
+    for (const match of content.matchAll(BLOCK_TAG_PATTERN)) {
+        const [tag, openType, key, isElse, closeType] = match;
+        const range = getStandaloneRange(content, match.index, match.index + tag.length);
+        const frame = stack[stack.length - 1];
+
+        if (range.start > cursor) {
+            frame.target.push({ type: 'text', value: content.slice(cursor, range.start), offset: cursor });
+        }
+        cursor = Math.max(cursor, range.end);
+
+        if (openType) {
+            const node = { type: openType, key, children: [], inverse: [] };
+            frame.target.push(node);
+            stack.push({ node, target: node.children });
+        } else if (isElse) {
+            if (frame.node.type !== 'if') {
+                throw new Error('{{else}} outside of an {{#if}} block');
+            }
+            frame.target = frame.node.inverse;
+        } else {
+            if (frame.node.type !== closeType) {
+                const open = frame.node.type === 'root' ? 'no open block' : `{{#${frame.node.type} ${frame.node.key}}}`;
+                throw new Error(`Unexpected {{/${closeType}}} (${open})`);
+            }
+            stack.pop();
+        }
+    }
+
+    if (stack.length > 1) {
+        const { node } = stack[stack.length - 1];
+        throw new Error(`Unclosed {{#${node.type} ${node.key}}} block`);
+    }
+
+    if (cursor < content.length) {
+        root.children.push({ type: 'text', value: content.slice(cursor), offset: cursor });
+    }
+
+    return root.children;
+}
+
+/**
+ * Look up a dotted key in the scope chain (innermost scope first)
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {string} key - Dotted key, e.g. "table.name" or "@index"
+ * @returns {*} Value, or undefined if not found
+ */
+function lookup(scopes, key) {
+    const [first, ...rest] = key.split('.');
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+
+        if (scope !== null && typeof scope === 'object' && first in scope) {
+            return rest.reduce((value, part) => (value == null ? undefined : value[part]), scope[first]);
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Check whether a block condition holds
+ * @param {*} value - Looked-up value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Apply a filter chain to a value
+ * @param {string} value - Value to filter
+ * @param {Array<string>} filters - Filter expressions such as "kebab" or "truncate:20"
+ * @returns {string|null} Filtered value, or null if a filter is unknown (the placeholder stays unresolved)
+ * @throws {Error} If a filter argument is invalid
+ */
+function applyFilters(value, filters) {
+    let result = value;
+
+    for (const filter of filters) {
+        const [name, arg] = filter.split(':').map(part => part.trim());
+
+        if (!Object.hasOwn(FILTERS, name)) {
+            return null;
+        }
+        result = FILTERS[name](result, arg);
     }
 
     return result;
 }
 
+/**
+ * Render a text node: substitute values and unescape \{{
+ * @param {Object} node - Text node
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {Map<number, string>} unresolved - Collects source offset -> placeholder left in the output
+ * @returns {string} Rendered text
+ */
+function renderText(node, scopes, unresolved) {
+    return node.value.replace(TEXT_TOKEN_PATTERN, (token, key, index) => {
+        if (token === '\\{{') {
+            return '{{';
+        }
+
+        const [name, ...filters] = key.split('|').map(part => part.trim());
+
+        if (VARIABLE_PATTERN.test(name)) {
+            const value = lookup(scopes, name);
+            if (['string', 'number', 'boolean'].includes(typeof value)) {
+                const filtered = applyFilters(String(value), filters);
+                if (filtered !== null) {
+                    return filtered;
+                }
+            }
+        }
+
+        unresolved.set(node.offset + index, token);
+        return token;
+    });
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {Map<number, string>} unresolved - Collects placeholders left in the output
+ * @returns {string} Rendered content
+ */
+function renderNodes(nodes, scopes, unresolved) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += renderText(node, scopes, unresolved);
+        } else if (node.type === 'if') {
+            output += renderNodes(isTruthy(lookup(scopes, node.key)) ? node.children : node.inverse, scopes, unresolved);
+        } else if (node.type === 'each') {
+            const items = lookup(scopes, node.key);
+
+            (Array.isArray(items) ? items : []).forEach((item, index) => {
+                const itemScope = {
+                    ...(item !== null && typeof item === 'object' ? item : {}),
+                    this: item,
+                    '@index': index,
+                    '@first': index === 0,
+                    '@last': index === items.length - 1
+                };
+                output += renderNodes(node.children, [...scopes, itemScope], unresolved);
+            });
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Render a template and report what could not be resolved
+ * @param {string} content - The content to process
+ * @param {Object} replacements - Template data: flat values plus nested data for blocks
+ * @returns {{content: string, unresolved: Array<{line: number, placeholder: string}>}}
+ *   Rendered content, plus every unescaped {{...}} left in it (line numbers refer to the template)
+ * @throws {Error} If the template has unbalanced blocks
+ */
+export function renderTemplate(content, replacements) {
+    const unresolved = new Map();
+    const rendered = renderNodes(parseTemplate(content), [replacements], unresolved);
+
+    const placeholders = [...unresolved.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([offset, placeholder]) => ({
+            line: content.slice(0, offset).split('\n').length,
+            placeholder
+        }));
+
+    return { content: rendered, unresolved: placeholders };
+}
+
+/**
+ * Replace template variables in content
+ * @param {string} content - The content to process
+ * @param {Object} replacements - Template data: flat values plus nested data for blocks
+ * @returns {string} Processed content
+ * @throws {Error} If the template has unbalanced blocks
+ */
+export function replaceVariables(content, replacements) {
+    return renderTemplate(content, replacements).content;
+}
+
 /**
  * Process a template file with variable replacement
  * @param {string} sourcePath - Path to source template file
@@ -32,7 +302,11 @@ export function replaceVariables(content, replacements) {
  */
 export async function processTemplateFile(sourcePath, destPath, replacements) {
     let content = await readFile(sourcePath, 'utf8');
-    content = replaceVariables(content, replacements);
+    try {
+        content = replaceVariables(content, replacements);
+    } catch (error) {
+        throw new Error(`${sourcePath}: ${error.message}`);
+    }
     await writeFile(destPath, content, 'utf8');
 }
 
@@ -49,11 +323,16 @@ export function buildReplacements(config, rootBranch = 'staging') {
         GITHUB_USERNAME: config.githubUsername,
         REPOSITORY_OWNER: config.githubUsername,
         ROOT_BRANCH: rootBranch,
-        PARENT_BRANCH: rootBranch  // Alias for documentation clarity
+        PARENT_BRANCH: rootBranch,  // Alias for documentation clarity
+
+        // Data for {{#if}} / {{#each}} blocks
+        useAWS: Boolean(config.useAWS),
+        tables: config.tables || DEFAULT_TABLES
     };
 }
 
 export default {
+    renderTemplate,
     replaceVariables,
     processTemplateFile,
     buildReplacements
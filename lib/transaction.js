@@ -0,0 +1,248 @@
+/**
+ * Install Transaction
+ * Applies staged installer writes in one step. Every file that gets overwritten
+ * is backed up first, so a failed install can be undone automatically and a
+ * finished one can be undone with the rollback command.
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { confirmRollback } from './prompts.js';
+
+// Backups live here, one timestamped directory per install
+export const BACKUP_DIR = '.worktrees-backup';
+
+// Older backups beyond this count are deleted after each install
+const MAX_BACKUPS = 5;
+
+/**
+ * Convert an absolute path to a project-relative path with forward slashes
+ * @param {string} projectRoot - Path to project root
+ * @param {string} filePath - Absolute path
+ * @returns {string} Relative path
+ */
+function toRelative(projectRoot, filePath) {
+    return path.relative(projectRoot, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Convert a project-relative path back to an absolute path
+ * @param {string} projectRoot - Path to project root
+ * @param {string} relativePath - Relative path with forward slashes
+ * @returns {string} Absolute path
+ */
+function toAbsolute(projectRoot, relativePath) {
+    return path.join(projectRoot, ...relativePath.split('/'));
+}
+
+/**
+ * Remove empty directories left behind after deleting a file
+ * @param {string} projectRoot - Path to project root
+ * @param {string} filePath - Absolute path of the removed file
+ * @returns {Promise<void>}
+ */
+async function pruneEmptyDirs(projectRoot, filePath) {
+    let dir = path.dirname(filePath);
+
+    while (dir !== projectRoot && dir.startsWith(projectRoot)) {
+        if (!await fs.pathExists(dir) || (await fs.readdir(dir)).length > 0) {
+            return;
+        }
+        await fs.remove(dir);
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Restore the files recorded in a backup
+ * Overwritten files get their original content back, created files are deleted.
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} backup - Backup descriptor (see commitChanges)
+ * @returns {Promise<{restored: number, removed: number}>}
+ */
+export async function restoreBackup(projectRoot, backup) {
+    const stats = { restored: 0, removed: 0 };
+
+    for (const file of backup.overwritten) {
+        await fs.copy(toAbsolute(backup.path, file), toAbsolute(projectRoot, file), { overwrite: true });
+        stats.restored++;
+    }
+
+    for (const file of backup.created) {
+        const filePath = toAbsolute(projectRoot, file);
+        if (await fs.pathExists(filePath)) {
+            await fs.remove(filePath);
+            await pruneEmptyDirs(projectRoot, filePath);
+            stats.removed++;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Delete a backup, and the backup directory once no backups are left
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} backup - Backup descriptor
+ * @returns {Promise<void>}
+ */
+async function removeBackup(projectRoot, backup) {
+    await fs.remove(backup.path);
+
+    if ((await listBackups(projectRoot)).length === 0) {
+        await fs.remove(path.join(projectRoot, BACKUP_DIR));
+    }
+}
+
+/**
+ * Delete backups beyond MAX_BACKUPS, oldest first
+ * @param {string} projectRoot - Path to project root
+ * @returns {Promise<void>}
+ */
+async function pruneOldBackups(projectRoot) {
+    const backups = await listBackups(projectRoot);
+
+    for (const backup of backups.slice(MAX_BACKUPS)) {
+        await fs.remove(backup.path);
+    }
+}
+
+/**
+ * Write staged changes to disk
+ * Files about to be overwritten are copied to .worktrees-backup/<timestamp>/ first.
+ * If any write fails, everything written so far is rolled back and the error rethrown.
+ * @param {string} projectRoot - Path to project root
+ * @param {Array<Object>} changes - Staged changes from createStagedFs().getChanges()
+ * @param {string} version - Package version being installed
+ * @returns {Promise<Object|null>} Backup descriptor, or null if nothing changed
+ */
+export async function commitChanges(projectRoot, changes, version) {
+    const pending = changes.filter(change => change.action !== 'unchanged');
+
+    if (pending.length === 0) {
+        return null;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backup = {
+        path: path.join(projectRoot, BACKUP_DIR, timestamp),
+        createdAt: new Date().toISOString(),
+        version,
+        created: pending.filter(change => change.action === 'create').map(change => toRelative(projectRoot, change.path)),
+        overwritten: pending.filter(change => change.action === 'update').map(change => toRelative(projectRoot, change.path))
+    };
+
+    // Back up originals before touching anything
+    await fs.ensureDir(backup.path);
+    await fs.writeFile(path.join(projectRoot, BACKUP_DIR, '.gitignore'), '*\n', 'utf8');
+    for (const file of backup.overwritten) {
+        await fs.copy(toAbsolute(projectRoot, file), toAbsolute(backup.path, file));
+    }
+    await fs.writeJson(path.join(backup.path, 'backup.json'), {
+        createdAt: backup.createdAt,
+        version,
+        created: backup.created,
+        overwritten: backup.overwritten
+    }, { spaces: 2 });
+
+    try {
+        for (const change of pending) {
+            await fs.ensureDir(path.dirname(change.path));
+            await fs.writeFile(change.path, change.after);
+        }
+    } catch (error) {
+        await restoreBackup(projectRoot, backup);
+        await removeBackup(projectRoot, backup);
+        throw new Error(`${error.message} (all changes were rolled back)`);
+    }
+
+    await pruneOldBackups(projectRoot);
+
+    return backup;
+}
+
+/**
+ * List install backups, newest first
+ * @param {string} projectRoot - Path to project root
+ * @returns {Promise<Array<Object>>} Backup descriptors
+ */
+export async function listBackups(projectRoot) {
+    const backupRoot = path.join(projectRoot, BACKUP_DIR);
+
+    if (!await fs.pathExists(backupRoot)) {
+        return [];
+    }
+
+    const entries = await fs.readdir(backupRoot, { withFileTypes: true });
+    const backups = [];
+
+    for (const entry of entries) {
+        const backupPath = path.join(backupRoot, entry.name);
+        const infoPath = path.join(backupPath, 'backup.json');
+
+        if (entry.isDirectory() && await fs.pathExists(infoPath)) {
+            backups.push({ path: backupPath, ...await fs.readJson(infoPath) });
+        }
+    }
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Rollback entry point - restores the most recent install backup
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+export async function runRollback(options = {}) {
+    const {
+        dryRun = false,
+        nonInteractive = false
+    } = options;
+
+    const projectRoot = process.cwd();
+
+    console.log(chalk.blue.bold('\n' + '='.repeat(60)));
+    console.log(chalk.blue.bold('  ⏪ BWS AI Coding Template Rollback'));
+    console.log(chalk.blue.bold('='.repeat(60)));
+    console.log(chalk.gray('\nProject directory:'), projectRoot);
+
+    const [backup] = await listBackups(projectRoot);
+    if (!backup) {
+        console.log(chalk.yellow(`\n⚠ No backups found in ${BACKUP_DIR}/ - nothing to roll back\n`));
+        return;
+    }
+
+    console.log(chalk.cyan.bold(`\n⏪ Rollback Plan (install of v${backup.version} on ${new Date(backup.createdAt).toLocaleString()}):\n`));
+    for (const file of backup.overwritten) {
+        console.log(chalk.yellow('  ↺ restore'), file);
+    }
+    for (const file of backup.created) {
+        console.log(chalk.red('  - remove '), file);
+    }
+
+    if (dryRun) {
+        console.log(chalk.cyan('\n🔍 Dry run mode - no files were changed'));
+        console.log(chalk.gray('Run without --dry-run to roll back\n'));
+        return;
+    }
+
+    if (!nonInteractive && !await confirmRollback()) {
+        console.log(chalk.yellow('\n⚠ Rollback cancelled by user\n'));
+        return;
+    }
+
+    const stats = await restoreBackup(projectRoot, backup);
+    await removeBackup(projectRoot, backup);
+
+    console.log(chalk.green.bold('\n✅ Rollback complete!'));
+    console.log(chalk.gray(`  ${stats.restored} restored, ${stats.removed} removed\n`));
+}
+
+export default {
+    BACKUP_DIR,
+    commitChanges,
+    restoreBackup,
+    listBackups,
+    runRollback
+};
@@ -0,0 +1,424 @@
+/**
+ * Uninstall Logic
+ * Reverses every change made by the installer
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { glob } from 'glob';
+import { detectRootBranch } from './validators.js';
+import { confirmUninstall } from './prompts.js';
+import {
+    isTextFile,
+    getWorktreeScripts,
+    getWorktreePatterns,
+    getRootClaudeInstructions,
+    getClaudeMdReference,
+    loadWorktreeConfig,
+    findExistingWorktrees
+} from './file-copier.js';
+import { buildReplacements, replaceVariables } from './template-processor.js';
+import { BASE_SNAPSHOT_DIR, hashContent } from './manifest.js';
+import { BACKUP_DIR } from './transaction.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where installTemplateFiles and copyClaudeConfig put each template source.
+// Used to recognize installed files that are missing from the manifest
+// (installations made before the manifest existed).
+const TEMPLATE_LOCATIONS = [
+    { source: 'scripts/worktree', dest: 'scripts/worktree' },
+    { source: 'docs', dest: 'docs/worktrees' },
+    { source: 'test', dest: 'test' },
+    { source: '.claude/skills', dest: '.claude/skills' },
+    { source: '.claude/commands', dest: '.claude/commands' },
+    { source: '.claude/README.md', dest: '.claude/README.md' },
+    { source: '.deploy', dest: '.deploy', aws: true },
+    { source: 'devops.yml', dest: 'devops.yml', aws: true }
+];
+
+/**
+ * Collect the known content hashes of every installed file
+ * Combines manifest entries with the current template rendered for this project
+ * @param {string} templateRoot - Template directory
+ * @param {Object} worktreeConfig - Contents of .worktrees
+ * @param {string} rootBranch - Detected root branch
+ * @returns {Promise<Map<string, Set<string>>>} Manifest key -> known hashes
+ */
+async function collectInstalledFiles(templateRoot, worktreeConfig, rootBranch) {
+    const installed = new Map();
+    const addHash = (key, hash) => {
+        if (!installed.has(key)) {
+            installed.set(key, new Set());
+        }
+        installed.get(key).add(hash);
+    };
+
+    for (const [key, entry] of Object.entries(worktreeConfig.manifest?.files || {})) {
+        addHash(key, entry.hash);
+    }
+
+    const config = worktreeConfig.config || {};
+    const replacements = buildReplacements(config, rootBranch);
+
+    for (const location of TEMPLATE_LOCATIONS) {
+        if (location.aws && !config.useAWS) {
+            continue;
+        }
+
+        const sourcePath = path.join(templateRoot, location.source);
+        if (!await fs.pathExists(sourcePath)) {
+            continue;
+        }
+
+        const isDirectory = (await fs.stat(sourcePath)).isDirectory();
+        const files = isDirectory
+            ? await glob('**/*', { cwd: sourcePath, nodir: true, dot: true })
+            : [''];
+
+        for (const file of files) {
+            const source = path.join(sourcePath, file);
+            const key = path.posix.join(location.dest, file.split(path.sep).join('/'));
+            const content = isTextFile(source)
+                ? replaceVariables(await fs.readFile(source, 'utf8'), replacements)
+                : await fs.readFile(source);
+
+            // Templates that render to nothing are never installed
+            if (content.length > 0 && content.toString().trim() !== '') {
+                addHash(key, hashContent(content));
+            }
+        }
+    }
+
+    return installed;
+}
+
+/**
+ * Plan the removal of installed template files
+ * @param {string} projectRoot - Path to project root
+ * @param {Map<string, Set<string>>} installed - Installed files and their known hashes
+ * @param {boolean} purge - Remove modified files too
+ * @returns {Promise<Array<Object>>} Planned actions
+ */
+async function planFileRemovals(projectRoot, installed, purge) {
+    const actions = [];
+
+    for (const key of [...installed.keys()].sort()) {
+        const filePath = path.join(projectRoot, ...key.split('/'));
+        if (!await fs.pathExists(filePath)) {
+            continue;
+        }
+
+        const modified = !installed.get(key).has(hashContent(await fs.readFile(filePath)));
+
+        if (!modified) {
+            actions.push({ type: 'remove', path: key });
+        } else if (purge) {
+            actions.push({ type: 'remove', path: key, detail: 'modified, --purge' });
+        } else {
+            actions.push({ type: 'keep', path: key, detail: 'modified' });
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Plan removal of the worktree scripts from package.json
+ * @param {string} projectRoot - Path to project root
+ * @param {boolean} purge - Remove scripts whose command was changed
+ * @returns {Promise<Array<Object>>} Planned actions
+ */
+async function planPackageJson(projectRoot, purge) {
+    const pkgPath = path.join(projectRoot, 'package.json');
+    if (!await fs.pathExists(pkgPath)) {
+        return [];
+    }
+
+    const pkg = await fs.readJson(pkgPath);
+    if (!pkg.scripts) {
+        return [];
+    }
+
+    const removed = [];
+    const kept = [];
+
+    for (const [key, value] of Object.entries(getWorktreeScripts())) {
+        if (!(key in pkg.scripts)) {
+            continue;
+        }
+        if (pkg.scripts[key] === value || purge) {
+            delete pkg.scripts[key];
+            removed.push(key);
+        } else {
+            kept.push(key);
+        }
+    }
+
+    const actions = [];
+
+    if (removed.length > 0) {
+        if (Object.keys(pkg.scripts).length === 0) {
+            delete pkg.scripts;
+        }
+        actions.push({
+            type: 'edit',
+            path: 'package.json',
+            detail: `remove scripts: ${removed.join(', ')}`,
+            content: JSON.stringify(pkg, null, 2) + '\n'
+        });
+    }
+    if (kept.length > 0) {
+        actions.push({ type: 'keep', path: 'package.json', detail: `modified scripts: ${kept.join(', ')}` });
+    }
+
+    return actions;
+}
+
+/**
+ * Plan removal of the worktree block from .gitignore (written by updateGitignore)
+ * @param {string} projectRoot - Path to project root
+ * @param {boolean} purge - Remove the block even if it was edited
+ * @returns {Promise<Array<Object>>} Planned actions
+ */
+async function planGitignore(projectRoot, purge) {
+    const gitignorePath = path.join(projectRoot, '.gitignore');
+    if (!await fs.pathExists(gitignorePath)) {
+        return [];
+    }
+
+    const content = await fs.readFile(gitignorePath, 'utf8');
+    const block = getWorktreePatterns();
+    const header = '# Worktree-specific files (added by bws-ai-coding-template)';
+
+    let updated = null;
+
+    if (content.includes(block)) {
+        updated = content.replace(block, '');
+    } else if (content.includes(header)) {
+        if (!purge) {
+            return [{ type: 'keep', path: '.gitignore', detail: 'worktree block was modified' }];
+        }
+        // Remove from the header through the closing .trees/ entry
+        const start = content.lastIndexOf('\n', content.indexOf(header));
+        const end = content.indexOf('.trees/\n', start);
+        updated = content.slice(0, Math.max(start, 0)) + (end === -1 ? '' : content.slice(end + '.trees/\n'.length));
+    } else {
+        return [];
+    }
+
+    if (updated.trim().length === 0) {
+        return [{ type: 'remove', path: '.gitignore', detail: 'only contained worktree patterns' }];
+    }
+
+    return [{ type: 'edit', path: '.gitignore', detail: 'remove worktree patterns', content: updated }];
+}
+
+/**
+ * Plan removal of the Claude Code integration files
+ * @param {string} projectRoot - Path to project root
+ * @param {string} rootBranch - Detected root branch
+ * @param {boolean} purge - Remove CLAUDE_INSTRUCTIONS.md even if modified
+ * @returns {Promise<Array<Object>>} Planned actions
+ */
+async function planClaudeFiles(projectRoot, rootBranch, purge) {
+    const actions = [];
+
+    // CLAUDE.md: strip the reference added by updateClaudeMd
+    const claudeMdPath = path.join(projectRoot, 'CLAUDE.md');
+    if (await fs.pathExists(claudeMdPath)) {
+        const content = await fs.readFile(claudeMdPath, 'utf8');
+        const reference = getClaudeMdReference();
+
+        if (content.includes(reference)) {
+            const updated = content.replace(reference, '');
+            if (updated.trim().length === 0) {
+                actions.push({ type: 'remove', path: 'CLAUDE.md', detail: 'only contained the CLAUDE_INSTRUCTIONS.md reference' });
+            } else {
+                actions.push({ type: 'edit', path: 'CLAUDE.md', detail: 'remove CLAUDE_INSTRUCTIONS.md reference', content: updated });
+            }
+        }
+    }
+
+    // CLAUDE_INSTRUCTIONS.md: created by createRootClaudeInstructions
+    const instructionsPath = path.join(projectRoot, 'CLAUDE_INSTRUCTIONS.md');
+    if (await fs.pathExists(instructionsPath)) {
+        const content = await fs.readFile(instructionsPath, 'utf8');
+
+        if (content === getRootClaudeInstructions(rootBranch)) {
+            actions.push({ type: 'remove', path: 'CLAUDE_INSTRUCTIONS.md' });
+        } else if (purge) {
+            actions.push({ type: 'remove', path: 'CLAUDE_INSTRUCTIONS.md', detail: 'modified, --purge' });
+        } else {
+            actions.push({ type: 'keep', path: 'CLAUDE_INSTRUCTIONS.md', detail: 'modified' });
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Build the complete uninstall plan
+ * @param {string} projectRoot - Path to project root
+ * @param {Object} worktreeConfig - Contents of .worktrees
+ * @param {boolean} purge - Remove modified files too
+ * @returns {Promise<Array<Object>>} Planned actions
+ */
+export async function planUninstall(projectRoot, worktreeConfig, purge = false) {
+    const templateRoot = path.join(__dirname, '..', 'templates');
+    const rootBranch = await detectRootBranch(projectRoot);
+    const installed = await collectInstalledFiles(templateRoot, worktreeConfig, rootBranch);
+
+    const actions = [
+        ...await planFileRemovals(projectRoot, installed, purge),
+        ...await planPackageJson(projectRoot, purge),
+        ...await planGitignore(projectRoot, purge),
+        ...await planClaudeFiles(projectRoot, rootBranch, purge)
+    ];
+
+    if (await fs.pathExists(path.join(projectRoot, BASE_SNAPSHOT_DIR))) {
+        actions.push({ type: 'remove', path: `${BASE_SNAPSHOT_DIR}/`, detail: 'template base versions' });
+    }
+    if (await fs.pathExists(path.join(projectRoot, BACKUP_DIR))) {
+        actions.push({ type: 'remove', path: `${BACKUP_DIR}/`, detail: 'install backups' });
+    }
+    actions.push({ type: 'remove', path: '.worktrees', detail: 'installer configuration' });
+
+    return actions;
+}
+
+/**
+ * Display the uninstall plan
+ * @param {Array<Object>} actions - Planned actions
+ */
+function displayPlan(actions) {
+    console.log(chalk.cyan.bold('\n🗑️  Uninstall Plan:\n'));
+
+    for (const action of actions) {
+        const detail = action.detail ? chalk.gray(` (${action.detail})`) : '';
+
+        if (action.type === 'remove') {
+            console.log(chalk.red('  - remove'), action.path + detail);
+        } else if (action.type === 'edit') {
+            console.log(chalk.yellow('  → edit  '), action.path + detail);
+        } else {
+            console.log(chalk.magenta('  ✎ keep  '), action.path + detail);
+        }
+    }
+
+    const kept = actions.filter(a => a.type === 'keep').length;
+    if (kept > 0) {
+        console.log(chalk.gray(`\n  ${kept} modified file(s) will be kept. Use --purge to remove them as well.`));
+    }
+}
+
+/**
+ * Remove empty directories left behind after deleting a file
+ * @param {string} projectRoot - Path to project root
+ * @param {string} filePath - Absolute path of the removed file
+ * @returns {Promise<void>}
+ */
+async function pruneEmptyDirs(projectRoot, filePath) {
+    let dir = path.dirname(filePath);
+
+    while (dir !== projectRoot && dir.startsWith(projectRoot)) {
+        if (!await fs.pathExists(dir) || (await fs.readdir(dir)).length > 0) {
+            return;
+        }
+        await fs.remove(dir);
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Apply the uninstall plan
+ * @param {string} projectRoot - Path to project root
+ * @param {Array<Object>} actions - Planned actions
+ * @returns {Promise<{removed: number, edited: number, kept: number}>}
+ */
+export async function executeUninstall(projectRoot, actions) {
+    const stats = { removed: 0, edited: 0, kept: 0 };
+
+    for (const action of actions) {
+        const targetPath = path.join(projectRoot, ...action.path.split('/').filter(Boolean));
+
+        if (action.type === 'remove') {
+            await fs.remove(targetPath);
+            await pruneEmptyDirs(projectRoot, targetPath);
+            console.log(chalk.red('  - Removed:'), action.path);
+            stats.removed++;
+        } else if (action.type === 'edit') {
+            await fs.writeFile(targetPath, action.content, 'utf8');
+            console.log(chalk.yellow('  → Updated:'), action.path, chalk.gray(`(${action.detail})`));
+            stats.edited++;
+        } else {
+            stats.kept++;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Uninstall entry point
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+export async function runUninstall(options = {}) {
+    const {
+        dryRun = false,
+        purge = false,
+        nonInteractive = false
+    } = options;
+
+    const projectRoot = process.cwd();
+
+    console.log(chalk.blue.bold('\n' + '='.repeat(60)));
+    console.log(chalk.blue.bold('  🗑️  BWS AI Coding Template Uninstall'));
+    console.log(chalk.blue.bold('='.repeat(60)));
+    console.log(chalk.gray('\nProject directory:'), projectRoot);
+
+    const worktreeConfig = await loadWorktreeConfig(projectRoot);
+    if (!worktreeConfig) {
+        console.log(chalk.yellow('\n⚠ No installation found (.worktrees is missing) - nothing to uninstall\n'));
+        return;
+    }
+
+    const actions = await planUninstall(projectRoot, worktreeConfig, purge);
+    displayPlan(actions);
+
+    const worktrees = await findExistingWorktrees(projectRoot);
+    if (worktrees.length > 0) {
+        console.log(chalk.yellow(`\n⚠ ${worktrees.length} worktree(s) still exist in .trees/ and will not be touched:`));
+        for (const worktree of worktrees) {
+            console.log(chalk.yellow('  •'), worktree.name);
+        }
+        console.log(chalk.gray('  Remove them first with: npm run worktree:remove <name>'));
+    }
+
+    if (dryRun) {
+        console.log(chalk.cyan('\n🔍 Dry run mode - no files were changed'));
+        console.log(chalk.gray('Run without --dry-run to uninstall\n'));
+        return;
+    }
+
+    if (!nonInteractive && !await confirmUninstall()) {
+        console.log(chalk.yellow('\n⚠ Uninstall cancelled by user\n'));
+        return;
+    }
+
+    console.log(chalk.cyan('\n🧹 Uninstalling...'));
+    const stats = await executeUninstall(projectRoot, actions);
+
+    console.log(chalk.green.bold('\n✅ Uninstall complete!'));
+    console.log(chalk.gray(`  ${stats.removed} removed, ${stats.edited} updated, ${stats.kept} kept\n`));
+}
+
+export default {
+    planUninstall,
+    executeUninstall,
+    runUninstall
+};
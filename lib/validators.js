@@ -41,9 +41,10 @@ export async function validatePackageJson(projectRoot) {
  * Check for file conflicts before installation
  * @param {string} projectRoot - Path to project root
  * @param {boolean} useAWS - Whether AWS features are enabled
+ * @param {Object|null} manifest - Install manifest saved in .worktrees by a previous run
  * @returns {Promise<{valid: boolean, conflicts: Array}>} Validation result
  */
-export async function validateNoConflicts(projectRoot, useAWS) {
+export async function validateNoConflicts(projectRoot, useAWS, manifest = null) {
     const conflicts = [];
 
     // Check for test or tests folder (basic tests are always installed)
@@ -67,7 +68,14 @@ export async function validateNoConflicts(projectRoot, useAWS) {
     // AWS-specific conflicts
     if (useAWS) {
         const deployDir = path.join(projectRoot, '.deploy');
-        if (await fs.pathExists(deployDir)) {
+        const installedByUs = Object.keys(manifest?.files || {}).some(file => file.startsWith('.deploy/'));
+        if (await fs.pathExists(deployDir) && installedByUs) {
+            conflicts.push({
+                path: '.deploy/',
+                message: 'Installed by a previous run. Unmodified files will be updated, customized files kept.',
+                severity: 'warning'
+            });
+        } else if (await fs.pathExists(deployDir)) {
             conflicts.push({
                 path: '.deploy/',
                 message: 'AWS deployment folder already exists. Remove it or run without --add-aws flag.',
@@ -190,9 +198,10 @@ export function validateNodeVersion() {
 /**
  * Create a default package.json file
  * @param {string} projectRoot - Path to project root
+ * @param {Object} fileSystem - fs-extra compatible implementation (a staged one for dry runs)
  * @returns {Promise<void>}
  */
-export async function createDefaultPackageJson(projectRoot) {
+export async function createDefaultPackageJson(projectRoot, fileSystem = fs) {
     const pkgPath = path.join(projectRoot, 'package.json');
 
     // Get repository name from git remote or use directory name
@@ -225,7 +234,7 @@ export async function createDefaultPackageJson(projectRoot) {
         homepage: `https://github.com/blockchain-web-services/${repoName}#readme`
     };
 
-    await fs.writeJson(pkgPath, defaultPackage, { spaces: 2 });
+    await fileSystem.writeJson(pkgPath, defaultPackage, { spaces: 2 });
 }
 
 export default {
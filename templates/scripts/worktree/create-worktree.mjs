@@ -2,19 +2,52 @@
 
 /**
  * Create a new git worktree with automatic test environment configuration
- * Usage: npm run worktree:create <branch-name>
+ * Usage: npm run worktree:create <branch-name> -- [--from <ref>] [--no-setup]
+ *        npm run worktree:create [<branch-name>] -- --track <remote>/<branch>
+ *        npm run worktree:create [<branch-name>] -- --pr <number>
+ * Note: The -- separator is required to pass flags through npm to the script
+ *
+ * By default a new branch starts from the root checkout's HEAD, and an existing
+ * branch is checked out as it is. The parent branch recorded in .worktree-info.json
+ * (used by worktree:merge) is the root checkout's current branch, unless:
+ *   --from <ref>     Starts the new branch at a branch, remote branch, tag or commit;
+ *                    the parent is that branch (origin/develop -> develop)
+ *   --track <r>/<b>  Fetches <b> from remote <r> and creates a local branch tracking it
+ *                    (named <b> unless given)
+ *   --pr <number>    Fetches the head of a pull request through the hosting provider
+ *                    (see lib/hosting.mjs) into a branch named after its head branch
+ *                    (unless given); the parent is the pull request's base branch
+ *
+ * After the files are written, the post-create steps configured under "worktree.setup"
+ * run: copy .env files, install dependencies, start Docker and create the AWS resources
+ * (see lib/post-create.mjs). --no-setup skips them.
+ *
+ * pre-create and post-create hooks run before the worktree is created and after it is
+ * set up (see lib/hooks.mjs); a failing pre-create hook stops the command.
+ *
+ * Branch names may contain "/" (e.g. feature/JIRA-123-login). The worktree directory
+ * under .trees/ is named after the branch's safe name (feature-jira-123-login), the same
+ * name used for Docker and AWS resources; .worktree-info.json keeps the real branch name.
  */
 
-import { execSync } from 'child_process';
+import { execFileSync, execSync } from 'child_process';
 import { existsSync, mkdirSync, writeFileSync, readFileSync, cpSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import * as readline from 'readline';
+import { runHooks } from './lib/hooks.mjs';
+import { getHostingProvider } from './lib/hosting.mjs';
+import { loadConfigHelpers, loadWorktreeSettings } from './lib/worktree-config.mjs';
+import { runPostCreateSetup } from './lib/post-create.mjs';
+import { allocatePorts, releasePorts } from './lib/port-registry.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '../..');
 
+const USAGE = 'Usage: npm run worktree:create <branch-name> -- [--from <ref> | --track <remote>/<branch> | --pr <number>] [--no-setup]';
+
 /**
  * Detect parent branch from root directory
  * @returns {string} Parent branch name
@@ -33,6 +66,56 @@ function detectParentBranch() {
     }
 }
 
+/**
+ * Run git with an argument list (no shell), returning trimmed output
+ * @param {Array<string>} args - Git arguments
+ * @returns {string|null} Output, or null if git failed
+ */
+function gitOutput(args) {
+    try {
+        return execFileSync('git', args, { cwd: rootDir, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Exit unless the name is a valid git branch name (git check-ref-format) made of
+ * characters that are safe in shell commands, directory names and npm script arguments
+ * @param {string} name - Branch name
+ */
+function validateBranchName(name) {
+    if (name.startsWith('-') || !/^[A-Za-z0-9._\/+@-]+$/.test(name)) {
+        console.error(`❌ Error: Invalid branch name "${name}"`);
+        console.error('Branch names may contain letters, digits and . _ - / + @, and must not start with "-"');
+        process.exit(1);
+    }
+
+    if (gitOutput(['check-ref-format', `refs/heads/${name}`]) === null) {
+        console.error(`❌ Error: "${name}" is not a valid git branch name`);
+        console.error('See "git help check-ref-format" (e.g. no "..", no "//", no trailing "/" or ".lock")');
+        process.exit(1);
+    }
+}
+
+/**
+ * Work out which branch a base ref points into
+ * @param {string} ref - Branch, remote branch, tag or commit
+ * @returns {string|null} Branch name without the remote (origin/develop -> develop),
+ *   or null for tags and commits
+ */
+function getBranchOfRef(ref) {
+    const fullName = gitOutput(['rev-parse', '--symbolic-full-name', ref]);
+    const remotes = (gitOutput(['remote']) || '').split('\n').filter(Boolean);
+
+    if (fullName?.startsWith('refs/heads/')) {
+        return fullName.slice('refs/heads/'.length);
+    }
+
+    const remote = remotes.find(name => fullName?.startsWith(`refs/remotes/${name}/`));
+    return remote ? fullName.slice(`refs/remotes/${remote}/`.length) : null;
+}
+
 /**
  * Get repository name from package.json
  * @returns {string} Repository name (without scope)
@@ -111,61 +194,190 @@ async function promptMultiline(question, promptPrefix = '> ') {
     });
 }
 
-// Get branch name from arguments
-const branchName = process.argv[2];
+let options;
+let positionals;
+try {
+    ({ values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            from: { type: 'string' },
+            track: { type: 'string' },
+            pr: { type: 'string' },
+            'no-setup': { type: 'boolean', default: false }
+        }
+    }));
+} catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+if (positionals.length > 1) {
+    console.error(`❌ Error: Unexpected argument "${positionals[1]}"`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+if ([options.from, options.track, options.pr].filter(value => value !== undefined).length > 1) {
+    console.error('❌ Error: --from, --track and --pr cannot be combined');
+    process.exit(1);
+}
+
+if (options.pr !== undefined && !/^[1-9]\d*$/.test(options.pr)) {
+    console.error(`❌ Error: --pr needs a pull request number (got "${options.pr}")`);
+    process.exit(1);
+}
+
+// --track <remote>/<branch>: the remote must exist, the branch part names the local branch
+let trackRemote = null;
+let trackBranch = null;
+if (options.track !== undefined) {
+    const remotes = (gitOutput(['remote']) || '').split('\n').filter(Boolean);
+    trackRemote = remotes.find(remote => options.track.startsWith(`${remote}/`)) || null;
+    trackBranch = trackRemote ? options.track.slice(trackRemote.length + 1) : null;
+
+    if (!trackBranch) {
+        console.error(`❌ Error: --track needs <remote>/<branch> with a configured remote (got "${options.track}")`);
+        console.error(`Remotes: ${remotes.join(', ') || '(none)'}`);
+        process.exit(1);
+    }
+    validateBranchName(trackBranch);
+}
+
+// --from <ref>: any commit-ish, resolved before anything is created
+if (options.from !== undefined) {
+    if (options.from.startsWith('-') || gitOutput(['rev-parse', '--verify', '--quiet', `${options.from}^{commit}`]) === null) {
+        console.error(`❌ Error: --from "${options.from}" is not a branch, tag or commit in this repository`);
+        console.error('For a remote branch, fetch it first (git fetch origin) or use --track');
+        process.exit(1);
+    }
+}
 
-if (!branchName) {
+// Branch name from arguments (--track and --pr can name it themselves)
+let branchName = positionals[0] || trackBranch;
+
+if (!branchName && options.pr === undefined) {
     console.error('❌ Error: Please provide a branch name');
-    console.error('Usage: npm run worktree:create <branch-name>');
+    console.error(USAGE);
     process.exit(1);
 }
 
-// Validate branch name (alphanumeric, hyphens, underscores only)
-if (!/^[a-zA-Z0-9_-]+$/.test(branchName)) {
-    console.error('❌ Error: Branch name must contain only alphanumeric characters, hyphens, and underscores');
+if (branchName) {
+    validateBranchName(branchName);
+}
+
+(async () => {
+const { generateWorktreeConfig, getSafeName } = await loadConfigHelpers();
+const settings = loadWorktreeSettings(rootDir);
+
+// --pr <number>: look the pull request up first, it names the branch and the parent
+let pullRequest = null;
+if (options.pr !== undefined) {
+    try {
+        const provider = getHostingProvider(rootDir, settings);
+        console.log(`🔎 Looking up pull request #${options.pr} (${provider.name})...`);
+        pullRequest = await provider.getPullRequest(Number(options.pr));
+    } catch (error) {
+        console.error(`❌ Error: Could not get pull request #${options.pr}: ${error.message}`);
+        process.exit(1);
+    }
+    console.log(`   "${pullRequest.title}" (${pullRequest.head} -> ${pullRequest.base})`);
+
+    if (!branchName) {
+        branchName = pullRequest.head;
+        validateBranchName(branchName);
+    }
+}
+
+// A new branch is created for --from, --track and --pr, so it must not exist yet
+const localBranchExists = gitOutput(['show-ref', '--verify', '--quiet', `refs/heads/${branchName}`]) !== null;
+if (localBranchExists && (options.from !== undefined || trackBranch || pullRequest)) {
+    console.error(`❌ Error: Branch '${branchName}' already exists`);
+    console.error(`Pass a different branch name, or run "npm run worktree:create ${branchName}" to check it out as it is`);
     process.exit(1);
 }
 
-const worktreePath = join(rootDir, '.trees', branchName);
+// The directory (and the port registry entry) use the safe name, so feature/JIRA-123
+// lives in .trees/feature-jira-123 rather than in nested directories
+const dirName = getSafeName(branchName);
+if (!dirName) {
+    console.error(`❌ Error: Cannot derive a directory name from "${branchName}" (use letters or digits)`);
+    process.exit(1);
+}
+const worktreePath = join(rootDir, '.trees', dirName);
 
 // Check if worktree already exists
 if (existsSync(worktreePath)) {
     console.error(`❌ Error: Worktree already exists at ${worktreePath}`);
-    console.error('Use "npm run worktree:remove ' + branchName + '" to remove it first');
+    console.error('Use "npm run worktree:remove ' + dirName + '" to remove it first');
     process.exit(1);
 }
 
+// Parent branch recorded for worktree:merge
+const parentBranch = pullRequest?.base
+    || (options.from !== undefined && getBranchOfRef(options.from))
+    || detectParentBranch();
+
 console.log(`🌳 Creating worktree for branch: ${branchName}`);
+if (dirName !== branchName) {
+    console.log(`   Directory: .trees/${dirName}`);
+}
+
+// Hooks can veto the worktree before anything is created
+const preCreate = runHooks('pre-create', {
+    rootDir,
+    settings,
+    worktree: { branchName, parentBranch, baseRef: options.from || options.track || null, paths: { worktree: worktreePath } },
+    details: { pullRequest }
+});
+if (!preCreate.ok) {
+    console.error('❌ Error: A pre-create hook failed - worktree not created');
+    process.exit(1);
+}
 
-(async () => {
 try {
     // Step 1: Create the git worktree
     console.log('📁 Creating git worktree...');
 
-    // Check if branch exists remotely or locally
-    let branchExists = false;
-    try {
-        execSync(`git show-ref --verify --quiet refs/heads/${branchName}`, { stdio: 'pipe' });
-        branchExists = true;
-    } catch {
-        // Branch doesn't exist locally, check remote
+    if (pullRequest) {
+        // Fetch the pull request's head commits straight into the new branch
+        console.log(`📥 Fetching pull request #${pullRequest.number}...`);
+        execFileSync('git', ['fetch', 'origin', `${pullRequest.ref}:refs/heads/${branchName}`], {
+            cwd: rootDir,
+            stdio: 'inherit'
+        });
+        execSync(`git worktree add .trees/${dirName} ${branchName}`, {
+            cwd: rootDir,
+            stdio: 'inherit'
+        });
+    } else if (trackBranch) {
+        console.log(`📥 Fetching ${options.track}...`);
         try {
-            execSync(`git show-ref --verify --quiet refs/remotes/origin/${branchName}`, { stdio: 'pipe' });
-            branchExists = true;
+            execFileSync('git', ['fetch', trackRemote, trackBranch], { cwd: rootDir, stdio: 'inherit' });
         } catch {
-            // Branch doesn't exist at all
+            console.warn(`⚠️  Could not fetch from ${trackRemote} - using the last fetched ${options.track}`);
         }
-    }
-
-    if (branchExists) {
-        // Branch exists, just create worktree
-        execSync(`git worktree add .trees/${branchName} ${branchName}`, {
+        if (gitOutput(['show-ref', '--verify', '--quiet', `refs/remotes/${options.track}`]) === null) {
+            throw new Error(`Remote branch ${options.track} not found`);
+        }
+        execSync(`git worktree add --track -b ${branchName} .trees/${dirName} ${options.track}`, {
+            cwd: rootDir,
+            stdio: 'inherit'
+        });
+    } else if (options.from !== undefined) {
+        execFileSync('git', ['worktree', 'add', '--no-track', '-b', branchName, `.trees/${dirName}`, options.from], {
+            cwd: rootDir,
+            stdio: 'inherit'
+        });
+    } else if (localBranchExists || gitOutput(['show-ref', '--verify', '--quiet', `refs/remotes/origin/${branchName}`]) !== null) {
+        // Branch exists (locally or on origin), just create worktree
+        execSync(`git worktree add .trees/${dirName} ${branchName}`, {
             cwd: rootDir,
             stdio: 'inherit'
         });
     } else {
         // Create new branch with worktree
-        execSync(`git worktree add -b ${branchName} .trees/${branchName}`, {
+        execSync(`git worktree add -b ${branchName} .trees/${dirName}`, {
             cwd: rootDir,
             stdio: 'inherit'
         });
@@ -173,40 +385,15 @@ try {
 
     console.log('✅ Git worktree created successfully');
 
-    // Step 2: Generate configuration
-    console.log('⚙️  Generating unique configuration...');
+    // Step 2: Reserve ports and generate configuration
+    console.log('🔌 Reserving ports...');
+    const { block, ports } = await allocatePorts(rootDir, dirName, settings.ports);
+    console.log(`✅ Reserved port block ${block} (LocalStack ${ports.localstack}, Playwright ${ports.playwright}, debug ${ports.debug})`);
 
-    // Import configuration generator
-    const { generateWorktreeConfig } = await import('../../test/helpers/worktree/config-generator.mjs').catch(async () => {
-        // If module doesn't exist yet, create it inline
-        const crypto = await import('crypto');
-        return {
-            generateWorktreeConfig: (branchName) => {
-                const hash = crypto.createHash('md5').update(branchName).digest();
-                const offset = (hash[0] + hash[1]) % 30; // 0-29 offset range
-
-                return {
-                    branchName,
-                    ports: {
-                        localstack: 4567 + offset,
-                        playwright: 8080 + offset,
-                        debug: 9229 + offset
-                    },
-                    docker: {
-                        containerPrefix: `app-${branchName}`,
-                        networkName: `app-network-${branchName}`
-                    },
-                    aws: {
-                        s3BucketName: `${branchName}-app-cache`,
-                        tablePrefix: `${branchName}`
-                    },
-                    environment: `${branchName}`
-                };
-            }
-        };
-    });
+    console.log('⚙️  Generating unique configuration...');
 
-    const config = generateWorktreeConfig(branchName);
+    const config = generateWorktreeConfig(branchName, 'app', ports);
+    const safeName = config.safeName || config.aws.tablePrefix || branchName;
 
     // Step 3: Create environment file
     console.log('📝 Creating environment configuration...');
@@ -223,7 +410,7 @@ DEBUG_PORT=${config.ports.debug}
 
 # Docker
 WORKTREE_BRANCH=${branchName}
-WORKTREE_SAFE_NAME=${config.environment || config.aws.tablePrefix || branchName}
+WORKTREE_SAFE_NAME=${safeName}
 WORKTREE_CONTAINER_PREFIX=${config.docker.containerPrefix}
 WORKTREE_NETWORK=${config.docker.networkName}
 COMPOSE_PROJECT_NAME=${config.docker.containerPrefix}
@@ -234,7 +421,7 @@ AWS_REGION=us-east-1
 AWS_ACCESS_KEY_ID=test
 AWS_SECRET_ACCESS_KEY=test
 NODE_ENV=test
-ENVIRONMENT=${config.environment || config.aws.tablePrefix || branchName}
+ENVIRONMENT=${safeName}
 S3_BUCKET_NAME=${config.aws.s3BucketName}
 TABLE_PREFIX=${config.aws.tablePrefix}
 
@@ -243,38 +430,83 @@ IS_WORKTREE=true
 WORKTREE_NAME=${branchName}
 `;
 
+    // Docker Compose override giving this worktree its own project, container, network and port
+    const composeContent = `# Worktree-specific Docker Compose override
+# Branch: ${branchName}
+# Generated: ${new Date().toISOString()}
+# Used instead of docker-compose.override.yml by: npm run docker:up (helpers/worktree/docker-wrapper.mjs)
+
+name: ${config.docker.containerPrefix}
+
+services:
+  localstack:
+    container_name: ${config.docker.containerPrefix}-localstack
+    environment:
+      - LOCALSTACK_HOST=${config.docker.containerPrefix}-localstack
+    ports:
+      - "${config.ports.localstack}:4566"
+
+networks:
+  app-network:
+    name: ${config.docker.networkName}
+`;
+
     // Write environment configuration
     const worktreeTestDir = join(worktreePath, 'test');
+    const envFilePath = join(worktreeTestDir, '.env.worktree');
+    const composeFilePath = join(worktreeTestDir, 'docker-compose.worktree.yml');
+    const hasDockerStack = existsSync(join(worktreeTestDir, 'docker-compose.yml'));
 
-    // Detect parent branch
-    const parentBranch = detectParentBranch();
+    // Commit the worktree starts from, so list/prune can tell a fresh branch from a merged one
+    const baseCommit = execSync('git rev-parse HEAD', { cwd: worktreePath, encoding: 'utf8' }).trim();
 
     // Create worktree info file
     const infoContent = {
         branchName,
         parentBranch,
+        baseCommit,
+        baseRef: options.from || options.track || null,
+        pullRequest: pullRequest ? { number: pullRequest.number, url: pullRequest.url, title: pullRequest.title } : null,
         createdAt: new Date().toISOString(),
         configuration: config,
         paths: {
             worktree: worktreePath,
-            envFile: join(worktreeTestDir, '.env.worktree')
+            envFile: envFilePath,
+            composeFile: hasDockerStack ? composeFilePath : null
         }
     };
 
     if (existsSync(worktreeTestDir)) {
+        writeFileSync(envFilePath, envContent);
+        console.log('✅ Environment saved to test/.env.worktree');
+
+        if (hasDockerStack) {
+            writeFileSync(composeFilePath, composeContent);
+            console.log('✅ Docker Compose override saved to test/docker-compose.worktree.yml');
+        }
+
         const infoFilePath = join(worktreeTestDir, '.worktree-info.json');
         writeFileSync(infoFilePath, JSON.stringify(infoContent, null, 2));
         console.log('✅ Configuration saved to .worktree-info.json');
+    } else {
+        console.log('ℹ️  No test/ directory in this worktree - skipping environment files');
     }
 
     // Step 4: Create Claude Code integration files
     console.log('\n📝 Claude Code Integration');
     console.log('━'.repeat(50));
 
-    const wantsContext = await promptUser(`Would you like to add context/description for this worktree?
+    // Without a terminal (CI, piped input) nobody can answer, and a closed stdin would
+    // end the script here, before the setup steps and post-create hooks
+    let wantsContext = '';
+    if (process.stdin.isTTY) {
+        wantsContext = await promptUser(`Would you like to add context/description for this worktree?
 This helps Claude Code understand the feature's purpose and approach.
 
 Press Enter to skip, or type 'y' to add context: `);
+    } else {
+        console.log('ℹ️  Not running in a terminal - skipping the context prompt');
+    }
 
     let featureDesc = '';
     let taskList = '';
@@ -336,7 +568,7 @@ Press Enter to skip, or type 'y' to add context: `);
 **Created**: ${new Date().toISOString()}
 **Branch**: ${branchName}
 **Parent Branch**: ${parentBranch}
-**AWS CLI Profile**: \`${awsProfile}\`
+${pullRequest ? `**Pull Request**: #${pullRequest.number} ${pullRequest.url}\n` : ''}**AWS CLI Profile**: \`${awsProfile}\`
 
 ---
 
@@ -363,7 +595,7 @@ aws s3 ls --profile ${awsProfile}
 
 ## ⚠️ CRITICAL: Working Directory Boundaries
 
-**YOU ARE IN A WORKTREE** (\`.trees/${branchName}/\`)
+**YOU ARE IN A WORKTREE** (\`.trees/${dirName}/\`)
 
 **IMPORTANT RULES:**
 
@@ -388,7 +620,7 @@ aws s3 ls --profile ${awsProfile}
 - The merge script handles bringing changes back to root safely
 
 **Safe operations from worktree:**
-- ✅ Modify any file in \`.trees/${branchName}/\`
+- ✅ Modify any file in \`.trees/${dirName}/\`
 - ✅ Run tests in \`test/\` directory
 - ✅ Commit changes with \`git commit\`
 - ✅ Run \`npm run worktree:merge ${branchName}\` from root (script handles it)
@@ -466,7 +698,7 @@ npm run worktree:remove ${branchName}
     // Create CLAUDE.md with explicit workspace boundary warnings
     const claudeMdContent = `# ⚠️ WORKTREE WORKSPACE BOUNDARY
 
-**Current Location:** \`.trees/${branchName}/\`
+**Current Location:** \`.trees/${dirName}/\`
 **Working Directory:** \`${worktreePath}\`
 
 ---
@@ -591,11 +823,35 @@ test/docker-compose.worktree.yml
         }
     }
 
-    // Step 7: Display configuration summary
+    // Step 7: Post-create setup (dependencies, .env files, Docker, AWS resources)
+    let setupResults = [];
+    if (options['no-setup']) {
+        console.log('\n⏭️  Skipping post-create setup (--no-setup)');
+    } else {
+        console.log('\n🔧 Running post-create setup...');
+        setupResults = runPostCreateSetup(rootDir, worktreePath, settings.setup);
+    }
+    const setupDone = name => setupResults.some(result => result.name === name && result.status === 'done');
+    const setupFailures = setupResults.filter(result => result.status === 'failed');
+
+    // The worktree stays even if a post-create hook fails, but the command reports it
+    const postCreate = runHooks('post-create', { rootDir, settings, worktree: infoContent, details: { setup: setupResults } });
+    if (!postCreate.ok) {
+        process.exitCode = 1;
+    }
+
+    // Step 8: Display configuration summary
     console.log('\n🎉 Worktree created and configured successfully!\n');
     console.log('📊 Configuration Summary:');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`  Branch:           ${branchName}`);
+    console.log(`  Parent Branch:    ${parentBranch}`);
+    if (options.from || options.track) {
+        console.log(`  Based On:         ${options.from || options.track}`);
+    }
+    if (pullRequest) {
+        console.log(`  Pull Request:     #${pullRequest.number} ${pullRequest.url}`);
+    }
     console.log(`  Location:         ${worktreePath}`);
     console.log(`  LocalStack Port:  ${config.ports.localstack}`);
     console.log(`  Playwright Port:  ${config.ports.playwright}`);
@@ -603,17 +859,36 @@ test/docker-compose.worktree.yml
     console.log(`  S3 Bucket:        ${config.aws.s3BucketName}`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    console.log('\n📋 Next steps:');
-    console.log(`  1. cd .trees/${branchName}`);
-    console.log('  2. Start developing your feature');
+    if (setupFailures.length > 0) {
+        console.log('\n⚠️  Some setup steps failed (the worktree itself is ready):');
+        setupFailures.forEach(result => console.log(`  • ${result.label}: ${result.detail}`));
+    }
+    if (!postCreate.ok) {
+        console.log(`\n⚠️  post-create hook(s) failed: ${postCreate.failed.join(', ')}`);
+    }
 
+    // Only list the steps the post-create setup did not already do
+    const nextSteps = [
+        `cd .trees/${dirName}`,
+        'Start developing your feature'
+    ];
     if (existsSync(worktreeTestDir)) {
-        console.log('  3. cd test && npm install     # Install test dependencies (when ready)');
-        console.log('  4. npm run docker:up          # Start LocalStack container');
-        console.log('  5. npm run setup              # Create AWS resources');
-        console.log('  6. npm test                   # Run tests');
+        nextSteps.push('cd test');
+        if (!setupDone('install')) {
+            nextSteps.push('npm install                # Install test dependencies');
+        }
+        if (hasDockerStack && !setupDone('docker')) {
+            nextSteps.push(`npm run docker:up          # Start LocalStack on port ${config.ports.localstack}`);
+        }
+        if (hasDockerStack && !setupDone('awsSetup')) {
+            nextSteps.push('npm run setup:aws          # Create AWS resources');
+        }
+        nextSteps.push('npm test                   # Run tests');
     }
 
+    console.log('\n📋 Next steps:');
+    nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
+
     console.log('\n💡 Tips:');
     console.log(`  • Remove worktree:    npm run worktree:remove ${branchName}`);
     console.log('  • List all worktrees: npm run worktree:list');
@@ -643,6 +918,9 @@ test/docker-compose.worktree.yml
 } catch (error) {
     console.error('❌ Error creating worktree:', error.message);
 
+    // Give back the ports reserved for it
+    await releasePorts(rootDir, dirName).catch(() => {});
+
     // Clean up partial worktree if it was created
     if (existsSync(worktreePath)) {
         try {
@@ -0,0 +1,83 @@
+/**
+ * Docker Cleanup
+ * Removes the LocalStack container, network and volumes of a worktree
+ */
+
+import { execSync } from 'child_process';
+
+/**
+ * Check whether the Docker CLI can reach a daemon
+ * @returns {boolean}
+ */
+export function isDockerAvailable() {
+    try {
+        execSync('docker info', { stdio: 'pipe' });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Stop and remove a worktree's Docker containers, network and volumes
+ * Failures are reported as warnings; missing resources (or a missing Docker) are skipped.
+ * @param {Object} config - Worktree configuration (configuration in .worktree-info.json)
+ */
+export function cleanupDockerResources(config) {
+    console.log('🐳 Cleaning up Docker resources...');
+
+    if (!isDockerAvailable()) {
+        console.log('  Docker is not available - skipping');
+        return;
+    }
+
+    const containerPrefix = config.docker.containerPrefix;
+    const networkName = config.docker.networkName;
+
+    // Stop and remove containers
+    try {
+        // Check if container exists
+        const containerName = `${containerPrefix}-localstack`;
+        const checkCmd = `docker ps -a --filter "name=${containerName}" --format "\{{.Names}}"`;
+        const containerExists = execSync(checkCmd, { encoding: 'utf8', stdio: 'pipe' }).trim();
+
+        if (containerExists) {
+            console.log(`  Stopping container: ${containerName}`);
+            execSync(`docker stop ${containerName} 2>/dev/null || true`, { stdio: 'pipe' });
+
+            console.log(`  Removing container: ${containerName}`);
+            execSync(`docker rm ${containerName} 2>/dev/null || true`, { stdio: 'pipe' });
+        }
+    } catch (error) {
+        console.warn('  ⚠️  Could not remove Docker containers:', error.message);
+    }
+
+    // Remove network
+    try {
+        const checkNetCmd = `docker network ls --filter "name=${networkName}" --format "\{{.Name}}"`;
+        const networkExists = execSync(checkNetCmd, { encoding: 'utf8', stdio: 'pipe' }).trim();
+
+        if (networkExists) {
+            console.log(`  Removing network: ${networkName}`);
+            execSync(`docker network rm ${networkName} 2>/dev/null || true`, { stdio: 'pipe' });
+        }
+    } catch (error) {
+        console.warn('  ⚠️  Could not remove Docker network:', error.message);
+    }
+
+    // Remove volumes (if volume prefix exists in config)
+    if (config.docker.volumePrefix) {
+        try {
+            const volumePrefix = config.docker.volumePrefix;
+            console.log(`  Cleaning up volumes with prefix: ${volumePrefix}`);
+            execSync(`docker volume ls --filter "name=${volumePrefix}" --format "\{{.Name}}" | xargs -r docker volume rm 2>/dev/null || true`, {
+                shell: true,
+                stdio: 'pipe'
+            });
+        } catch (error) {
+            console.warn('  ⚠️  Could not remove Docker volumes:', error.message);
+        }
+    }
+
+    console.log('✅ Docker cleanup complete');
+}
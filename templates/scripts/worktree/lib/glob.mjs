@@ -0,0 +1,99 @@
+/**
+ * Glob Matching
+ * Matches repository-relative paths against .gitignore-style glob patterns:
+ *
+ *   *          Any characters except "/"
+ *   **         Any number of directories, when it is a whole path segment
+ *   ?          One character except "/"
+ *   [abc]      One of the characters (ranges and [!...] negation supported)
+ *   {a,b}      Either alternative
+ *   dir/       A trailing "/" matches only directories (everything under them)
+ *
+ * A pattern without a "/" (other than a trailing one) matches a file or directory
+ * name at any depth; a pattern with a "/" is relative to the repository root.
+ * A pattern that matches a directory also matches everything under it.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression matching a whole path
+ * @param {string} glob - Pattern without a trailing "/"
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            const atSegmentStart = i === 0 || glob[i - 1] === '/';
+            const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+            if (atSegmentStart && atSegmentEnd) {
+                // "**/" matches zero or more directories, a trailing "**" anything below
+                source += i + 2 === glob.length ? '.*' : '(?:.*/)?';
+                i += 2;
+                continue;
+            }
+            // "**" inside a name behaves like "*"
+            source += '[^/]*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += set.startsWith('!') ? `[^/${set.slice(1)}]` : `[${set}]`;
+            i = end;
+        } else if (char === '{') {
+            source += '(?:';
+            braceDepth++;
+        } else if (char === '}' && braceDepth > 0) {
+            source += ')';
+            braceDepth--;
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a path matches a pattern
+ * @param {string} file - Repository-relative path with "/" separators
+ * @param {string} pattern - Glob pattern (see the header comment)
+ * @returns {boolean}
+ */
+export function matchesGlob(file, pattern) {
+    const directoryOnly = pattern.endsWith('/');
+    let glob = directoryOnly ? pattern.slice(0, -1) : pattern;
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\//, '');
+
+    const regex = globToRegExp(glob);
+    const segments = file.split('/');
+
+    // Test the path and each of its parent directories
+    for (let depth = 1; depth <= segments.length; depth++) {
+        const isFile = depth === segments.length;
+        if (directoryOnly && isFile) {
+            break;
+        }
+
+        const candidate = anchored ? segments.slice(0, depth).join('/') : segments[depth - 1];
+        if (regex.test(candidate)) {
+            return true;
+        }
+    }
+
+    return false;
+}
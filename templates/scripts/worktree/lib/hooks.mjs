@@ -0,0 +1,142 @@
+/**
+ * Lifecycle Hooks
+ * Runs a team's own commands before and after the worktree commands
+ *
+ * Events: pre-create, post-create, pre-merge, post-merge, pre-remove, post-remove
+ *
+ * Hooks for an event come from, in this order:
+ *   1. Executable files in scripts/worktree/hooks/ named after the event, with or without
+ *      an extension (post-create, post-create.sh, post-create.mjs, ...); *.sample files are ignored
+ *   2. "worktree.hooks" in worktree.config.json, then in .worktrees: a command or a list of
+ *      commands per event, run with the shell, e.g.
+ *        "hooks": { "pre-merge": ["npm run lint", "npm run license-check"], "post-merge": "./tools/notify.sh" }
+ *
+ * Every hook runs in the repository root and receives:
+ *   stdin  JSON { "event", "rootDir", "worktree": <.worktree-info.json contents>, ...event details }
+ *   env    WORKTREE_HOOK (the event), WORKTREE_BRANCH, WORKTREE_PARENT_BRANCH,
+ *          WORKTREE_PATH, WORKTREE_ROOT
+ * A pre-* hook that exits non-zero aborts the command before it changes anything (later
+ * hooks do not run). A failing post-* hook is reported and makes the command exit non-zero,
+ * but what the command did is kept.
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, readdirSync, statSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { findWorktree } from './worktrees.mjs';
+
+export const HOOK_EVENTS = ['pre-create', 'post-create', 'pre-merge', 'post-merge', 'pre-remove', 'post-remove'];
+
+export const HOOKS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'hooks');
+
+/**
+ * Find the hook files for an event in scripts/worktree/hooks/
+ * @param {string} event - Hook event
+ * @returns {Array<string>} Executable files, sorted by name
+ */
+function findHookFiles(event) {
+    if (!existsSync(HOOKS_DIR)) {
+        return [];
+    }
+
+    return readdirSync(HOOKS_DIR)
+        .filter(name => (name === event || name.startsWith(`${event}.`)) && !name.endsWith('.sample'))
+        .sort()
+        .map(name => join(HOOKS_DIR, name))
+        .filter(file => {
+            const stats = statSync(file);
+            if (!stats.isFile()) {
+                return false;
+            }
+            if ((stats.mode & 0o111) === 0) {
+                console.warn(`⚠️  Skipping hook ${relative(process.cwd(), file)} - not executable (chmod +x to enable it)`);
+                return false;
+            }
+            return true;
+        });
+}
+
+/**
+ * List the hooks configured for an event
+ * @param {string} event - Hook event
+ * @param {Object} settings - Settings from loadWorktreeSettings()
+ * @returns {Array<{label: string, file?: string, command?: string}>} Hooks in run order
+ */
+export function getHooks(event, settings) {
+    const fileHooks = findHookFiles(event).map(file => ({ label: `hooks/${relative(HOOKS_DIR, file)}`, file }));
+    const commandHooks = (settings.hooks?.[event] || []).map(({ command, source }) => ({
+        label: `${command} (${source})`,
+        command
+    }));
+    return [...fileHooks, ...commandHooks];
+}
+
+/**
+ * Describe a worktree for hooks from its .worktree-info.json, or from what git knows about it
+ * @param {string} rootDir - Repository root
+ * @param {string} nameOrBranch - Branch name or directory name under .trees/
+ * @returns {Object} Worktree info with at least branchName, parentBranch and paths.worktree
+ */
+export function describeWorktree(rootDir, nameOrBranch) {
+    const worktree = findWorktree(rootDir, nameOrBranch);
+    const info = worktree?.info || { branchName: worktree?.branch || nameOrBranch, parentBranch: null };
+    return { ...info, paths: { ...info.paths, worktree: worktree?.path || info.paths?.worktree || null } };
+}
+
+/**
+ * Run the hooks for an event
+ * @param {string} event - Hook event
+ * @param {Object} options
+ * @param {string} options.rootDir - Repository root
+ * @param {Object} options.settings - Settings from loadWorktreeSettings()
+ * @param {Object} options.worktree - Worktree info (see describeWorktree)
+ * @param {Object} [options.details] - Event details added to the JSON on stdin
+ * @returns {({ok: boolean, failed: Array<string>})} ok is false if a hook failed; failed lists their labels
+ */
+export function runHooks(event, { rootDir, settings, worktree, details = {} }) {
+    const hooks = getHooks(event, settings);
+    if (hooks.length === 0) {
+        return { ok: true, failed: [] };
+    }
+
+    const isPreHook = event.startsWith('pre-');
+    const input = JSON.stringify({ event, rootDir, worktree, ...details }, null, 2);
+    const env = {
+        ...process.env,
+        WORKTREE_HOOK: event,
+        WORKTREE_BRANCH: worktree.branchName || '',
+        WORKTREE_PARENT_BRANCH: worktree.parentBranch || '',
+        WORKTREE_PATH: worktree.paths?.worktree || '',
+        WORKTREE_ROOT: rootDir
+    };
+
+    console.log(`\n🪝 Running ${event} hooks (${hooks.length})...`);
+    const failed = [];
+
+    for (const hook of hooks) {
+        console.log(`   ▶ ${hook.label}`);
+        const options = { cwd: rootDir, env, input, stdio: ['pipe', 'inherit', 'inherit'] };
+        const result = hook.file
+            ? spawnSync(hook.file, [], options)
+            : spawnSync(hook.command, { ...options, shell: true });
+
+        if (result.status === 0) {
+            continue;
+        }
+
+        const reason = result.error ? result.error.message : (result.signal ? `killed by ${result.signal}` : `exit code ${result.status}`);
+        console.error(`   ❌ ${event} hook failed: ${hook.label} (${reason})`);
+        failed.push(hook.label);
+
+        if (isPreHook) {
+            break;
+        }
+    }
+
+    if (failed.length === 0) {
+        console.log(`   ✅ ${event} hooks passed`);
+    }
+
+    return { ok: failed.length === 0, failed };
+}
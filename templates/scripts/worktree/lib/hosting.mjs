@@ -0,0 +1,203 @@
+/**
+ * Hosting Providers
+ * Open and look up pull requests on the service that hosts the repository
+ *
+ * A provider is an object with:
+ *   name                                              - Shown to the user
+ *   createPullRequest({ head, base, title, body })    - Resolves to { number, url, existing }
+ *                                                       (existing is true if an open pull request
+ *                                                       for head -> base was returned instead)
+ *   getPullRequest(number)                            - Resolves to { number, url, title, head, base, ref }
+ *                                                       (ref is the ref on origin holding the head commits)
+ *
+ * The provider comes from "worktree.hosting.provider" in .worktrees ("github" by default),
+ * or from the WORKTREE_HOSTING_PROVIDER environment variable:
+ *   github  GitHub REST API; token from GITHUB_TOKEN, GH_TOKEN or the GitHub CLI (gh auth token)
+ *   local   Records pull requests in .trees/.pull-requests.json, for trying the flow offline
+ */
+
+import { execSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const GITHUB_API = 'https://api.github.com';
+
+/**
+ * Parse owner and repository from a GitHub remote URL
+ * @param {string} url - e.g. git@github.com:acme/app.git or https://github.com/acme/app
+ * @returns {({owner: string, repo: string}|null)}
+ */
+export function parseGitHubRemote(url) {
+    const match = url && url.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+    return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+/**
+ * Find a GitHub token in the environment or the GitHub CLI
+ * @returns {string|null}
+ */
+function getGitHubToken() {
+    if (process.env.GITHUB_TOKEN || process.env.GH_TOKEN) {
+        return process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+    }
+
+    try {
+        return execSync('gh auth token', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Create a provider for the GitHub REST API
+ * @param {({owner: string, repo: string, token: string})} options - Repository and API token
+ * @returns {Object} Provider
+ */
+export function createGitHubProvider({ owner, repo, token }) {
+    async function request(method, path, body) {
+        const response = await fetch(`${GITHUB_API}/repos/${owner}/${repo}${path}`, {
+            method,
+            headers: {
+                Accept: 'application/vnd.github+json',
+                Authorization: `Bearer ${token}`,
+                'User-Agent': 'worktree-scripts',
+                'X-GitHub-Api-Version': '2022-11-28'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        return { status: response.status, data };
+    }
+
+    return {
+        name: `GitHub (${owner}/${repo})`,
+
+        async createPullRequest({ head, base, title, body }) {
+            const created = await request('POST', '/pulls', { head, base, title, body });
+            if (created.status === 201) {
+                return { number: created.data.number, url: created.data.html_url, existing: false };
+            }
+
+            // 422 is also returned when an open pull request for the branch already exists
+            if (created.status === 422) {
+                const open = await request('GET', `/pulls?state=open&head=${owner}:${encodeURIComponent(head)}&base=${encodeURIComponent(base)}`);
+                if (open.status === 200 && open.data.length > 0) {
+                    return { number: open.data[0].number, url: open.data[0].html_url, existing: true };
+                }
+            }
+
+            const details = created.data.errors?.map(error => error.message || error.code).join('; ');
+            throw new Error(`GitHub API returned ${created.status}: ${created.data.message || 'unknown error'}${details ? ` (${details})` : ''}`);
+        },
+
+        async getPullRequest(number) {
+            const found = await request('GET', `/pulls/${number}`);
+            if (found.status === 404) {
+                throw new Error(`Pull request #${number} not found in ${owner}/${repo}`);
+            }
+            if (found.status !== 200) {
+                throw new Error(`GitHub API returned ${found.status}: ${found.data.message || 'unknown error'}`);
+            }
+
+            // refs/pull/<n>/head also covers pull requests from forks
+            return {
+                number: found.data.number,
+                url: found.data.html_url,
+                title: found.data.title,
+                head: found.data.head.ref,
+                base: found.data.base.ref,
+                ref: `refs/pull/${number}/head`
+            };
+        }
+    };
+}
+
+/**
+ * Create a provider that records pull requests in .trees/.pull-requests.json
+ * @param {string} rootDir - Repository root
+ * @returns {Object} Provider
+ */
+export function createLocalProvider(rootDir) {
+    const storePath = join(rootDir, '.trees', '.pull-requests.json');
+
+    function readStore() {
+        return existsSync(storePath) ? JSON.parse(readFileSync(storePath, 'utf8')) : { pullRequests: [] };
+    }
+
+    return {
+        name: 'local (.trees/.pull-requests.json)',
+
+        async createPullRequest({ head, base, title, body }) {
+            const store = readStore();
+            const open = store.pullRequests.find(pr => pr.state === 'open' && pr.head === head && pr.base === base);
+            if (open) {
+                return { number: open.number, url: open.url, existing: true };
+            }
+
+            const number = store.pullRequests.reduce((max, pr) => Math.max(max, pr.number), 0) + 1;
+            const pullRequest = {
+                number,
+                url: `local://pull/${number}`,
+                state: 'open',
+                head,
+                base,
+                title,
+                body,
+                createdAt: new Date().toISOString()
+            };
+            store.pullRequests.push(pullRequest);
+
+            mkdirSync(join(rootDir, '.trees'), { recursive: true });
+            writeFileSync(storePath, JSON.stringify(store, null, 2) + '\n');
+            return { number, url: pullRequest.url, existing: false };
+        },
+
+        async getPullRequest(number) {
+            const pullRequest = readStore().pullRequests.find(pr => pr.number === number);
+            if (!pullRequest) {
+                throw new Error(`Pull request #${number} not found in ${storePath}`);
+            }
+
+            const { url, title, head, base } = pullRequest;
+            return { number, url, title, head, base, ref: `refs/heads/${head}` };
+        }
+    };
+}
+
+/**
+ * Get the configured hosting provider
+ * @param {string} rootDir - Repository root
+ * @param {Object} settings - Settings from loadWorktreeSettings()
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown or cannot be set up
+ */
+export function getHostingProvider(rootDir, settings) {
+    const name = process.env.WORKTREE_HOSTING_PROVIDER || settings.hosting?.provider || 'github';
+
+    if (name === 'local') {
+        return createLocalProvider(rootDir);
+    }
+
+    if (name !== 'github') {
+        throw new Error(`Unknown hosting provider "${name}" (expected github or local)`);
+    }
+
+    let remoteUrl = null;
+    try {
+        remoteUrl = execSync('git remote get-url origin', { cwd: rootDir, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+    } catch {
+        // Reported below
+    }
+
+    const repository = parseGitHubRemote(remoteUrl);
+    if (!repository) {
+        throw new Error(`origin is not a GitHub repository (${remoteUrl || 'no origin remote'})`);
+    }
+
+    const token = getGitHubToken();
+    if (!token) {
+        throw new Error('No GitHub token found - set GITHUB_TOKEN (or GH_TOKEN), or log in with: gh auth login');
+    }
+
+    return createGitHubProvider({ ...repository, token });
+}
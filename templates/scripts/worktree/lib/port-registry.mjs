@@ -0,0 +1,266 @@
+/**
+ * Worktree Port Registry
+ * Hands out a collision-free block of ports (one per service) to each worktree
+ * and records it in .trees/.ports.json. Blocks are numbered from the start of
+ * the configured ranges; a worktree gets the lowest block that no other worktree
+ * holds and whose ports nothing else on this machine is listening on.
+ *
+ * .trees/.ports.json:
+ *   {
+ *     "version": 1,
+ *     "worktrees": {
+ *       "feature-login": {
+ *         "block": 0,
+ *         "ports": { "localstack": 4568, "playwright": 8081, "debug": 9230 },
+ *         "allocatedAt": "2025-01-01T00:00:00.000Z"
+ *       }
+ *     }
+ *   }
+ */
+
+import { closeSync, existsSync, mkdirSync, openSync, readdirSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs';
+import net from 'net';
+import { join } from 'path';
+
+const REGISTRY_FILE = '.ports.json';
+const LOCK_FILE = '.ports.lock';
+
+// How long to wait for another worktree script to release the lock,
+// and when a lock left behind by a crashed script counts as stale
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 60000;
+const LOCK_RETRY_MS = 100;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a function while holding the registry lock
+ * The lock is a file created exclusively, so concurrent worktree:create runs
+ * cannot hand out the same block.
+ * @param {string} treesDir - Path to .trees/
+ * @param {Function} fn - Function to run (may be async)
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} If the lock cannot be acquired in time
+ */
+async function withLock(treesDir, fn) {
+    const lockPath = join(treesDir, LOCK_FILE);
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    mkdirSync(treesDir, { recursive: true });
+
+    let fd;
+    while (fd === undefined) {
+        try {
+            fd = openSync(lockPath, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+
+            try {
+                if (Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+                    rmSync(lockPath, { force: true });
+                    continue;
+                }
+            } catch {
+                // Lock released in the meantime
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Port registry is locked by another process (remove ${lockPath} if no worktree command is running)`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    try {
+        writeFileSync(fd, String(process.pid));
+        return await fn();
+    } finally {
+        closeSync(fd);
+        rmSync(lockPath, { force: true });
+    }
+}
+
+/**
+ * Read the registry
+ * @param {string} treesDir - Path to .trees/
+ * @returns {({version: number, worktrees: Object})} Registry
+ */
+function readRegistry(treesDir) {
+    const registryPath = join(treesDir, REGISTRY_FILE);
+
+    if (!existsSync(registryPath)) {
+        return { version: 1, worktrees: {} };
+    }
+
+    try {
+        const registry = JSON.parse(readFileSync(registryPath, 'utf8'));
+        return { version: 1, worktrees: {}, ...registry };
+    } catch (error) {
+        throw new Error(`Invalid port registry ${registryPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Write the registry atomically (temp file + rename)
+ * @param {string} treesDir - Path to .trees/
+ * @param {Object} registry - Registry
+ */
+function writeRegistry(treesDir, registry) {
+    const registryPath = join(treesDir, REGISTRY_FILE);
+    const tempPath = `${registryPath}.${process.pid}.tmp`;
+
+    writeFileSync(tempPath, JSON.stringify(registry, null, 2) + '\n');
+    renameSync(tempPath, registryPath);
+}
+
+/**
+ * Collect ports recorded in .worktree-info.json files of worktrees that are not
+ * in the registry (e.g. created before the registry existed)
+ * @param {string} treesDir - Path to .trees/
+ * @param {Object} registry - Registry
+ * @returns {Set<number>} Ports in use
+ */
+function getUnregisteredPorts(treesDir, registry) {
+    const ports = new Set();
+
+    for (const entry of readdirSync(treesDir, { withFileTypes: true })) {
+        if (!entry.isDirectory() || registry.worktrees[entry.name]) {
+            continue;
+        }
+
+        const infoPath = join(treesDir, entry.name, 'test', '.worktree-info.json');
+        try {
+            const info = JSON.parse(readFileSync(infoPath, 'utf8'));
+            Object.values(info.configuration?.ports || {}).forEach(port => ports.add(Number(port)));
+        } catch {
+            // No info file - nothing reserved
+        }
+    }
+
+    return ports;
+}
+
+/**
+ * Check whether a port can be bound on this machine
+ * @param {number} port - Port to probe
+ * @returns {Promise<boolean>} True if nothing is listening on it
+ */
+export function isPortFree(port) {
+    return new Promise(resolve => {
+        const server = net.createServer();
+
+        server.once('error', () => resolve(false));
+        server.once('listening', () => server.close(() => resolve(true)));
+
+        server.listen(port, '0.0.0.0');
+    });
+}
+
+/**
+ * Get the ports of a block
+ * @param {Object<string, {start: number, end: number}>} ranges - Port range per service
+ * @param {number} block - Block number
+ * @returns {Object<string, number>} Port per service
+ */
+function getBlockPorts(ranges, block) {
+    const ports = {};
+    for (const [service, range] of Object.entries(ranges)) {
+        ports[service] = range.start + block;
+    }
+    return ports;
+}
+
+/**
+ * Reserve a block of ports for a worktree
+ * A worktree that already holds a block gets the same block back.
+ * @param {string} rootDir - Repository root
+ * @param {string} name - Worktree name (its directory under .trees/)
+ * @param {Object<string, {start: number, end: number}>} ranges - Port range per service (see worktree-config.mjs)
+ * @returns {Promise<{block: number, ports: Object<string, number>}>} Reserved block
+ * @throws {Error} If the ranges are invalid or every block is taken
+ */
+export async function allocatePorts(rootDir, name, ranges) {
+    const sizes = Object.entries(ranges).map(([service, range]) => {
+        if (!Number.isInteger(range.start) || !Number.isInteger(range.end) || range.end < range.start) {
+            throw new Error(`Invalid port range for ${service}: ${JSON.stringify(range)}`);
+        }
+        return range.end - range.start + 1;
+    });
+    const blockCount = Math.min(...sizes);
+    const treesDir = join(rootDir, '.trees');
+
+    return withLock(treesDir, async () => {
+        const registry = readRegistry(treesDir);
+
+        if (registry.worktrees[name]) {
+            return registry.worktrees[name];
+        }
+
+        const takenBlocks = new Set(Object.values(registry.worktrees).map(entry => entry.block));
+        const takenPorts = getUnregisteredPorts(treesDir, registry);
+        const busy = [];
+
+        for (let block = 0; block < blockCount; block++) {
+            if (takenBlocks.has(block)) {
+                continue;
+            }
+
+            const ports = getBlockPorts(ranges, block);
+            const values = Object.values(ports);
+
+            if (values.some(port => takenPorts.has(port))) {
+                continue;
+            }
+
+            const probes = await Promise.all(values.map(isPortFree));
+            if (probes.includes(false)) {
+                busy.push(block);
+                continue;
+            }
+
+            const entry = { block, ports, allocatedAt: new Date().toISOString() };
+            registry.worktrees[name] = entry;
+            writeRegistry(treesDir, registry);
+            return entry;
+        }
+
+        const detail = busy.length > 0 ? ` (${busy.length} free block(s) have ports in use by other processes)` : '';
+        throw new Error(`No free port block left in the configured ranges${detail}. Remove unused worktrees or widen "worktree.ports" in .worktrees`);
+    });
+}
+
+/**
+ * Release the ports held by a worktree
+ * @param {string} rootDir - Repository root
+ * @param {string} name - Worktree name (its directory under .trees/)
+ * @returns {Promise<Object|null>} Released entry, or null if the worktree held none
+ */
+export async function releasePorts(rootDir, name) {
+    const treesDir = join(rootDir, '.trees');
+
+    if (!existsSync(join(treesDir, REGISTRY_FILE))) {
+        return null;
+    }
+
+    return withLock(treesDir, () => {
+        const registry = readRegistry(treesDir);
+        const entry = registry.worktrees[name] || null;
+
+        if (entry) {
+            delete registry.worktrees[name];
+            writeRegistry(treesDir, registry);
+        }
+
+        return entry;
+    });
+}
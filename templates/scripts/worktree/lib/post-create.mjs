@@ -0,0 +1,239 @@
+/**
+ * Post-Create Setup
+ * Gets a new worktree ready to use: copies untracked files from the root checkout,
+ * installs dependencies, starts the Docker stack and creates the AWS resources
+ *
+ * The steps are configured with "worktree.setup" in .worktrees or worktree.config.json
+ * (defaults shown):
+ *   "setup": {
+ *     "copyFiles": [".env", "test/.env"],   // untracked files copied from the root checkout
+ *     "install": true,                      // or the directories to install in, e.g. ["test"]
+ *     "packageManager": null,               // npm, pnpm or yarn; null detects it from the lockfile
+ *     "docker": true,                       // npm run docker:up in test/
+ *     "awsSetup": true                      // npm run setup:aws in test/
+ *   }
+ * Set a step to false to leave it out. docker and awsSetup only run when test/package.json
+ * has the script; awsSetup also needs the Docker step to have succeeded. A failed step is
+ * reported and the remaining steps still run.
+ */
+
+import { spawnSync } from 'child_process';
+import { copyFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { isDockerAvailable } from './docker-cleanup.mjs';
+import { readEnvFile } from './worktree-config.mjs';
+
+export const DEFAULT_SETUP = {
+    copyFiles: ['.env', 'test/.env'],
+    install: true,
+    packageManager: null,
+    docker: true,
+    awsSetup: true
+};
+
+// Lockfiles that identify the package manager, checked in this order
+const LOCKFILES = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['yarn.lock', 'yarn'],
+    ['package-lock.json', 'npm'],
+    ['npm-shrinkwrap.json', 'npm']
+];
+
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn'];
+
+/**
+ * Detect the package manager from the lockfile in a directory, then in the repository root
+ * @param {string} dir - Directory with a package.json
+ * @param {string} rootDir - Repository (or worktree) root
+ * @returns {string} npm, pnpm or yarn (npm when there is no lockfile)
+ */
+export function detectPackageManager(dir, rootDir) {
+    for (const searchDir of [dir, rootDir]) {
+        const match = LOCKFILES.find(([lockfile]) => existsSync(join(searchDir, lockfile)));
+        if (match) {
+            return match[1];
+        }
+    }
+    return 'npm';
+}
+
+/**
+ * Check whether a package.json defines a script
+ * @param {string} dir - Directory with the package.json
+ * @param {string} script - Script name
+ * @returns {boolean}
+ */
+function hasScript(dir, script) {
+    try {
+        return Boolean(JSON.parse(readFileSync(join(dir, 'package.json'), 'utf8')).scripts?.[script]);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Run a shell command in the worktree with its test/.env.worktree settings, showing its output
+ * @param {string} command - Command line
+ * @param {string} cwd - Directory to run in
+ * @param {string} worktreePath - Path to the worktree
+ * @returns {boolean} Whether the command succeeded
+ */
+function runCommand(command, cwd, worktreePath) {
+    console.log(`     $ ${command}`);
+    const env = { ...process.env, ...readEnvFile(join(worktreePath, 'test', '.env.worktree')) };
+    const result = spawnSync(command, { cwd, env, shell: true, stdio: 'inherit' });
+    return result.status === 0;
+}
+
+/**
+ * Copy untracked files (e.g. .env) that the worktree does not have yet from the root checkout
+ * @param {string} rootDir - Repository root
+ * @param {string} worktreePath - Path to the worktree
+ * @param {Array<string>} files - Paths relative to the root
+ * @returns {({status: string, detail: string})}
+ */
+function copyUntrackedFiles(rootDir, worktreePath, files) {
+    const copied = [];
+
+    for (const file of files) {
+        const source = join(rootDir, file);
+        const target = join(worktreePath, file);
+
+        if (!existsSync(source)) {
+            continue;
+        }
+        if (existsSync(target)) {
+            console.log(`     ℹ️  ${file} already exists in the worktree - kept`);
+            continue;
+        }
+
+        mkdirSync(dirname(target), { recursive: true });
+        copyFileSync(source, target);
+        console.log(`     ✓ ${file}`);
+        copied.push(file);
+    }
+
+    return copied.length > 0
+        ? { status: 'done', detail: copied.join(', ') }
+        : { status: 'skipped', detail: 'none of the files exist in the root checkout' };
+}
+
+/**
+ * Install dependencies in each directory that has a package.json
+ * @param {string} worktreePath - Path to the worktree
+ * @param {Object} setup - Setup settings
+ * @returns {({status: string, detail: string})}
+ */
+function installDependencies(worktreePath, setup) {
+    const dirs = (Array.isArray(setup.install) ? setup.install : ['.', 'test'])
+        .filter(dir => existsSync(join(worktreePath, dir, 'package.json')));
+
+    if (dirs.length === 0) {
+        return { status: 'skipped', detail: 'no package.json' };
+    }
+
+    const failed = [];
+    for (const dir of dirs) {
+        const cwd = join(worktreePath, dir);
+        const packageManager = setup.packageManager || detectPackageManager(cwd, worktreePath);
+        console.log(`     📦 ${dir === '.' ? 'root' : dir} (${packageManager})`);
+        if (!runCommand(`${packageManager} install`, cwd, worktreePath)) {
+            failed.push(dir);
+        }
+    }
+
+    return failed.length > 0
+        ? { status: 'failed', detail: `install failed in ${failed.join(', ')}` }
+        : { status: 'done', detail: dirs.join(', ') };
+}
+
+/**
+ * Run a package.json script in the worktree's test/ directory
+ * @param {string} worktreePath - Path to the worktree
+ * @param {Object} setup - Setup settings
+ * @param {string} script - Script name
+ * @returns {({status: string, detail: string})}
+ */
+function runTestScript(worktreePath, setup, script) {
+    const testDir = join(worktreePath, 'test');
+    if (!hasScript(testDir, script)) {
+        return { status: 'skipped', detail: `no ${script} script in test/package.json` };
+    }
+
+    const packageManager = setup.packageManager || detectPackageManager(testDir, worktreePath);
+    return runCommand(`${packageManager} run ${script}`, testDir, worktreePath)
+        ? { status: 'done', detail: `${packageManager} run ${script}` }
+        : { status: 'failed', detail: `${packageManager} run ${script} failed` };
+}
+
+/**
+ * Run the configured post-create steps
+ * @param {string} rootDir - Repository root
+ * @param {string} worktreePath - Path to the new worktree
+ * @param {Object} [setupSettings] - "worktree.setup" settings (see the header comment)
+ * @returns {Array<{name: string, label: string, status: 'done'|'skipped'|'failed'|'disabled', detail: string}>}
+ *   One result per step, in order
+ */
+export function runPostCreateSetup(rootDir, worktreePath, setupSettings = {}) {
+    const setup = { ...DEFAULT_SETUP, ...setupSettings };
+
+    if (setup.packageManager && !PACKAGE_MANAGERS.includes(setup.packageManager)) {
+        console.warn(`⚠️  Unknown setup.packageManager "${setup.packageManager}" - detecting it from the lockfile`);
+        setup.packageManager = null;
+    }
+
+    const steps = [
+        {
+            name: 'copyFiles',
+            label: 'Copying untracked files',
+            enabled: Array.isArray(setup.copyFiles) && setup.copyFiles.length > 0,
+            run: () => copyUntrackedFiles(rootDir, worktreePath, setup.copyFiles)
+        },
+        {
+            name: 'install',
+            label: 'Installing dependencies',
+            enabled: Boolean(setup.install),
+            run: () => installDependencies(worktreePath, setup)
+        },
+        {
+            name: 'docker',
+            label: 'Starting the Docker stack',
+            enabled: Boolean(setup.docker),
+            run: () => (isDockerAvailable()
+                ? runTestScript(worktreePath, setup, 'docker:up')
+                : { status: 'skipped', detail: 'Docker is not running' })
+        },
+        {
+            name: 'awsSetup',
+            label: 'Creating AWS resources',
+            enabled: Boolean(setup.awsSetup),
+            run: results => (results.find(result => result.name === 'docker')?.status === 'done'
+                ? runTestScript(worktreePath, setup, 'setup:aws')
+                : { status: 'skipped', detail: 'needs the Docker stack' })
+        }
+    ];
+
+    const results = [];
+    const enabledSteps = steps.filter(step => step.enabled);
+
+    for (const step of steps) {
+        if (!step.enabled) {
+            results.push({ name: step.name, label: step.label, status: 'disabled', detail: 'turned off in settings' });
+            continue;
+        }
+
+        console.log(`\n  [${enabledSteps.indexOf(step) + 1}/${enabledSteps.length}] ${step.label}...`);
+        let result;
+        try {
+            result = step.run(results);
+        } catch (error) {
+            result = { status: 'failed', detail: error.message };
+        }
+
+        const icon = { done: '✅', skipped: '⏭️ ', failed: '❌' }[result.status];
+        console.log(`     ${icon} ${result.detail}`);
+        results.push({ name: step.name, label: step.label, ...result });
+    }
+
+    return results;
+}
@@ -0,0 +1,147 @@
+/**
+ * Branch Sync
+ * Brings a worktree's branch up to date with its parent branch by rebasing (or merging)
+ * inside the worktree, stashing uncommitted changes around the update.
+ * Used by worktree:sync and by worktree:merge --update.
+ */
+
+import { existsSync } from 'fs';
+import { git } from './worktrees.mjs';
+
+export const SYNC_STRATEGIES = ['rebase', 'merge'];
+
+/**
+ * Find a rebase or merge that is still in progress in a worktree
+ * @param {string} worktreePath - Path to the worktree
+ * @returns {'rebase'|'merge'|null}
+ */
+export function getOperationInProgress(worktreePath) {
+    for (const dir of ['rebase-merge', 'rebase-apply']) {
+        const path = git(`rev-parse --git-path ${dir}`, worktreePath);
+        if (path && existsSync(path.startsWith('/') ? path : `${worktreePath}/${path}`)) {
+            return 'rebase';
+        }
+    }
+    return git('rev-parse -q --verify MERGE_HEAD', worktreePath) ? 'merge' : null;
+}
+
+/**
+ * Find the current stash@{n} name of a stash entry
+ * The stash is shared by all worktrees, so entries move as others are added or popped.
+ * @param {string} cwd - Any directory in the repository
+ * @param {string} stash - Commit hash of the stash entry
+ * @returns {string|null} e.g. stash@{1}, or null if the entry is gone
+ */
+export function findStashEntry(cwd, stash) {
+    const hashes = (git('stash list --format=%H', cwd) || '').split('\n');
+    const index = hashes.indexOf(stash);
+    return index === -1 ? null : `stash@{${index}}`;
+}
+
+/**
+ * Order worktrees so that a worktree whose parent branch is another selected
+ * worktree's branch comes after that worktree
+ * @param {Array<Object>} worktrees - Worktrees from getWorktrees()
+ * @returns {Array<Object>}
+ */
+export function orderByParent(worktrees) {
+    const byBranch = new Map(worktrees.filter(w => w.branch).map(w => [w.branch, w]));
+    const ordered = [];
+    const visiting = new Set();
+
+    const visit = worktree => {
+        if (ordered.includes(worktree) || visiting.has(worktree)) {
+            return;
+        }
+        visiting.add(worktree);
+        const parent = byBranch.get(worktree.info?.parentBranch);
+        if (parent) {
+            visit(parent);
+        }
+        ordered.push(worktree);
+    };
+
+    worktrees.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Update a worktree's branch from its parent branch
+ * @param {string} worktreePath - Path to the worktree
+ * @param {string} branchName - Branch checked out in the worktree
+ * @param {string} parentBranch - Local branch to update from
+ * @param {Object} [options]
+ * @param {'rebase'|'merge'} [options.strategy] - How to bring the parent in (default: rebase)
+ * @param {boolean} [options.keepConflicts] - Leave a conflicted rebase/merge in place for manual
+ *   resolution (the stash is kept too) instead of aborting it (default: false)
+ * @param {Function} [options.log] - Called with a line of progress text
+ * @returns {({status: 'up-to-date'|'updated'|'conflict'|'failed', detail: string, behind: number|null,
+ *   conflicts: Array<string>, stashed: boolean, stash: string|null, stashRestored: boolean})}
+ *   stashed is true if uncommitted changes were stashed (stash is the entry's commit hash, see findStashEntry);
+ *   stashRestored is false while they are still in the stash
+ */
+export function updateFromParent(worktreePath, branchName, parentBranch, options = {}) {
+    const { strategy = 'rebase', keepConflicts = false, log = () => {} } = options;
+    const result = { status: 'failed', detail: '', behind: null, conflicts: [], stashed: false, stash: null, stashRestored: false };
+
+    if (!existsSync(worktreePath)) {
+        return { ...result, detail: `worktree directory not found: ${worktreePath}` };
+    }
+    if (!git(`rev-parse --verify --quiet refs/heads/${parentBranch}`, worktreePath)) {
+        return { ...result, detail: `parent branch '${parentBranch}' not found` };
+    }
+
+    const inProgress = getOperationInProgress(worktreePath);
+    if (inProgress) {
+        return { ...result, status: 'conflict', detail: `a ${inProgress} is already in progress - finish it with git ${inProgress} --continue or --abort` };
+    }
+
+    // Check if an update is actually needed (parent might already be in the branch)
+    const behind = Number(git(`rev-list --count ${branchName}..${parentBranch}`, worktreePath));
+    result.behind = Number.isNaN(behind) ? null : behind;
+    if (git(`merge-base --is-ancestor ${parentBranch} ${branchName}`, worktreePath) !== null) {
+        return { ...result, status: 'up-to-date', detail: `already contains ${parentBranch}` };
+    }
+
+    // Untracked files are left in place: they do not block a rebase and are not stashed
+    if (git('status --porcelain --untracked-files=no', worktreePath)) {
+        log('Uncommitted changes detected - auto-stashing...');
+        if (git(`stash push -m "Auto-stash for worktree ${strategy} of ${branchName} onto ${parentBranch}"`, worktreePath) === null) {
+            return { ...result, detail: 'could not stash uncommitted changes' };
+        }
+        result.stashed = true;
+        result.stash = git('rev-parse stash@{0}', worktreePath);
+    }
+
+    const restoreStash = () => {
+        if (!result.stashed) {
+            return;
+        }
+        log('Restoring stashed changes...');
+        const entry = findStashEntry(worktreePath, result.stash);
+        result.stashRestored = entry !== null && git(`stash pop ${entry}`, worktreePath) !== null;
+    };
+
+    log(strategy === 'merge' ? `Merging ${parentBranch}...` : `Rebasing onto ${parentBranch}...`);
+    const updated = strategy === 'merge'
+        ? git(`merge --no-edit ${parentBranch}`, worktreePath)
+        : git(`rebase ${parentBranch}`, worktreePath);
+
+    if (updated === null) {
+        const conflictOutput = git('diff --name-only --diff-filter=U', worktreePath);
+        const conflicts = conflictOutput ? conflictOutput.split('\n') : [];
+
+        if (conflicts.length > 0 && keepConflicts) {
+            return { ...result, status: 'conflict', conflicts, detail: `${conflicts.length} conflicted file(s), ${strategy} left in progress` };
+        }
+
+        git(`${strategy} --abort`, worktreePath);
+        restoreStash();
+        return conflicts.length > 0
+            ? { ...result, status: 'conflict', conflicts, detail: `${conflicts.length} conflicted file(s), ${strategy} aborted` }
+            : { ...result, detail: `git ${strategy} failed` };
+    }
+
+    restoreStash();
+    return { ...result, status: 'updated', detail: `${result.behind ?? '?'} commit(s) from ${parentBranch} (${strategy})` };
+}
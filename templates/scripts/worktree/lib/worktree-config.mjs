@@ -0,0 +1,197 @@
+/**
+ * Worktree Settings
+ * Reads the settings teams can tune for the worktree scripts, and loads the
+ * configuration generator that names each worktree's Docker and AWS resources
+ *
+ * Settings come from worktree.config.json at the repository root (committed and
+ * shared by the team) and the "worktree" section of .worktrees (local to one
+ * checkout, which wins for single values). List settings (merge.exclude,
+ * merge.preserve and the commands in hooks) are combined from both files.
+ *
+ * Example .worktrees:
+ *   {
+ *     "version": "...",
+ *     "config": { ... },
+ *     "worktree": {
+ *       "ports": {
+ *         "localstack": { "start": 4568, "end": 4667 }
+ *       },
+ *       "mergeStrategy": "rebase",
+ *       "testCommand": "cd test && npm test",
+ *       "merge": {
+ *         "exclude": ["test/seed-data/"],
+ *         "preserve": ["test/fixtures/generated/**"]
+ *       },
+ *       "setup": { "docker": false },         (post-create steps, see post-create.mjs)
+ *       "hooks": { "post-merge": "./tools/notify.sh" }   (see hooks.mjs)
+ *     }
+ *   }
+ *
+ * worktree.config.json has the same shape as the "worktree" section.
+ */
+
+import crypto from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+// Port ranges handed out to worktrees, one port per service per worktree.
+// They start one above the root checkout's defaults (.env.example) so the
+// root LocalStack and Playwright servers never collide with a worktree.
+export const DEFAULT_PORT_RANGES = {
+    localstack: { start: 4568, end: 4667 },
+    playwright: { start: 8081, end: 8180 },
+    debug: { start: 9230, end: 9329 }
+};
+
+// Files the settings are read from, lowest precedence first
+const SETTINGS_FILES = ['worktree.config.json', '.worktrees'];
+
+/**
+ * Read a JSON settings file
+ * @param {string} rootDir - Repository root
+ * @param {string} fileName - File name relative to the root
+ * @returns {Object} Parsed file, or an empty object if it is missing or invalid
+ */
+function readJsonFile(rootDir, fileName) {
+    const configPath = join(rootDir, fileName);
+
+    if (!existsSync(configPath)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️  Could not read ${fileName} (${error.message}) - ignoring its settings`);
+        return {};
+    }
+}
+
+/**
+ * Load worktree settings merged with the defaults
+ * @param {string} rootDir - Repository root
+ * @returns {({ports: Object<string, {start: number, end: number}>,
+ *   merge: {exclude: Array<{pattern: string, source: string}>, preserve: Array<{pattern: string, source: string}>},
+ *   hooks: Object<string, Array<{command: string, source: string}>>})}
+ *   Settings; each merge rule and hook command records the file it came from
+ */
+export function loadWorktreeSettings(rootDir) {
+    const layers = SETTINGS_FILES.map(fileName => {
+        const content = readJsonFile(rootDir, fileName);
+        return { fileName, settings: (fileName === '.worktrees' ? content.worktree : content) || {} };
+    });
+    const settings = Object.assign({}, ...layers.map(layer => layer.settings));
+
+    const ports = {};
+    for (const [service, range] of Object.entries(DEFAULT_PORT_RANGES)) {
+        ports[service] = Object.assign({ ...range }, ...layers.map(layer => layer.settings.ports?.[service]));
+    }
+
+    const merge = { exclude: [], preserve: [] };
+    for (const { fileName, settings: layerSettings } of layers) {
+        for (const list of ['exclude', 'preserve']) {
+            for (const pattern of layerSettings.merge?.[list] || []) {
+                merge[list].push({ pattern, source: fileName });
+            }
+        }
+    }
+
+    const hooks = {};
+    for (const { fileName, settings: layerSettings } of layers) {
+        for (const [event, commands] of Object.entries(layerSettings.hooks || {})) {
+            for (const command of [].concat(commands)) {
+                (hooks[event] ||= []).push({ command, source: fileName });
+            }
+        }
+    }
+
+    return { ...settings, ports, merge, hooks };
+}
+
+/**
+ * Read a KEY=VALUE env file such as test/.env.worktree
+ * Blank lines and # comments are skipped; surrounding quotes are removed.
+ * @param {string} filePath - Path to the env file
+ * @returns {Object<string, string>} Variables, or an empty object if the file is missing
+ */
+export function readEnvFile(filePath) {
+    if (!existsSync(filePath)) {
+        return {};
+    }
+
+    const env = {};
+    for (const line of readFileSync(filePath, 'utf8').split('\n')) {
+        const match = line.match(/^\s*([\w.-]+)\s*=\s*(.*?)\s*$/);
+        if (match) {
+            env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+        }
+    }
+    return env;
+}
+
+/**
+ * Fallback for getSafeName in test/helpers/worktree/config-generator.mjs (same rules)
+ * @param {string} branchName - The branch name
+ * @returns {string} Lowercase name of letters, digits and hyphens, at most 20 characters
+ */
+function getBasicSafeName(branchName) {
+    let safeName = branchName
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, '-')
+        .replace(/--+/g, '-')
+        .replace(/^-|-$/g, '');
+
+    if (safeName.length > 20) {
+        const hash = crypto.createHash('md5').update(branchName).digest('hex').substring(0, 4);
+        safeName = safeName.substring(0, 15) + hash;
+    }
+
+    return safeName;
+}
+
+/**
+ * Fallback for projects without the AWS test helpers
+ * (test/helpers/worktree/config-generator.mjs)
+ * @param {string} branchName - The branch name
+ * @param {string} projectPrefix - Resource name prefix
+ * @param {Object|null} ports - Reserved ports (default: derived from the branch hash)
+ * @returns {Object} Worktree configuration
+ */
+function generateBasicConfig(branchName, projectPrefix = 'app', ports = null) {
+    const hash = crypto.createHash('md5').update(branchName).digest();
+    const offset = (hash[0] + hash[1]) % 30; // 0-29 offset range
+
+    const safeName = getBasicSafeName(branchName);
+
+    return {
+        branchName,
+        safeName,
+        ports: ports || {
+            localstack: 4567 + offset,
+            playwright: 8080 + offset,
+            debug: 9229 + offset
+        },
+        docker: {
+            containerPrefix: `${projectPrefix}-${safeName}`,
+            networkName: `${projectPrefix}-network-${safeName}`
+        },
+        aws: {
+            s3BucketName: `${safeName}-${projectPrefix}-cache`,
+            tablePrefix: `${safeName}`
+        }
+    };
+}
+
+/**
+ * Load generateWorktreeConfig and getSafeName from the test helpers, falling back to basic versions
+ * @returns {Promise<{generateWorktreeConfig: Function, getSafeName: Function}>}
+ *   generateWorktreeConfig(branchName, projectPrefix, ports) and getSafeName(branchName)
+ */
+export async function loadConfigHelpers() {
+    try {
+        const { generateWorktreeConfig, getSafeName } = await import('../../../test/helpers/worktree/config-generator.mjs');
+        return { generateWorktreeConfig, getSafeName };
+    } catch {
+        return { generateWorktreeConfig: generateBasicConfig, getSafeName: getBasicSafeName };
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Worktree Discovery
+ * Finds the linked worktrees of the repository, reads the information
+ * worktree:create saved for each of them and works out their git status
+ */
+
+import { execSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { basename, join, resolve } from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run a git command
+ * @param {string} command - Git arguments, e.g. "status --porcelain"
+ * @param {string} cwd - Directory to run in
+ * @returns {string|null} Trimmed output, or null if the command failed
+ */
+export function git(command, cwd) {
+    try {
+        return execSync(`git ${command}`, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the .worktree-info.json written by worktree:create
+ * @param {string} worktreePath - Path to the worktree
+ * @returns {Object|null} Worktree info, or null if missing or invalid
+ */
+export function readWorktreeInfo(worktreePath) {
+    const infoPath = join(worktreePath, 'test', '.worktree-info.json');
+
+    if (!existsSync(infoPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(readFileSync(infoPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write a worktree's .worktree-info.json
+ * @param {string} worktreePath - Path to the worktree
+ * @param {Object} info - Worktree info
+ */
+export function writeWorktreeInfo(worktreePath, info) {
+    writeFileSync(join(worktreePath, 'test', '.worktree-info.json'), JSON.stringify(info, null, 2));
+}
+
+/**
+ * List the linked worktrees of the repository (the main checkout is not included)
+ * @param {string} rootDir - Repository root
+ * @returns {Array<{name: string, path: string, branch: string|null, head: string|null, missing: boolean, info: Object|null}>}
+ *   Worktrees in git's order; missing is true when the directory no longer exists
+ */
+export function getWorktrees(rootDir) {
+    const output = git('worktree list --porcelain', rootDir);
+    if (!output) {
+        return [];
+    }
+
+    const mainPath = resolve(rootDir);
+    const worktrees = [];
+
+    for (const block of output.split(/\n\s*\n/)) {
+        const fields = {};
+        for (const line of block.split('\n')) {
+            const [key, ...rest] = line.split(' ');
+            fields[key] = rest.join(' ');
+        }
+
+        if (!fields.worktree || resolve(fields.worktree) === mainPath || 'bare' in fields) {
+            continue;
+        }
+
+        const path = resolve(fields.worktree);
+        const missing = !existsSync(path);
+
+        worktrees.push({
+            name: basename(path),
+            path,
+            branch: fields.branch ? fields.branch.replace(/^refs\/heads\//, '') : null,
+            head: fields.HEAD || null,
+            missing,
+            info: missing ? null : readWorktreeInfo(path)
+        });
+    }
+
+    return worktrees;
+}
+
+/**
+ * Find a linked worktree by branch name or by its directory name under .trees/
+ * Branch names containing "/" live in a directory named after the branch's
+ * safe name (e.g. feature/JIRA-123 in .trees/feature-jira-123), so either works.
+ * @param {string} rootDir - Repository root
+ * @param {string} nameOrBranch - Branch name or directory name
+ * @returns {Object|null} Worktree from getWorktrees(), or null if none matches
+ */
+export function findWorktree(rootDir, nameOrBranch) {
+    const worktrees = getWorktrees(rootDir);
+    return worktrees.find(worktree => worktree.branch === nameOrBranch)
+        || worktrees.find(worktree => worktree.name === nameOrBranch)
+        || null;
+}
+
+/**
+ * Check whether the changes a branch made since it forked are all in the parent
+ * Catches squash merges (also of pull requests), whose commits are not on the parent:
+ * every file the branch changed since the merge base must be the same on the parent.
+ * @param {string} rootDir - Repository root
+ * @param {string} parentRef - Parent branch ref
+ * @param {string} head - Branch commit
+ * @returns {boolean}
+ */
+function hasChangesInParent(rootDir, parentRef, head) {
+    const mergeBase = git(`merge-base ${parentRef} ${head}`, rootDir);
+    const changed = mergeBase ? git(`diff --no-renames --name-only ${mergeBase} ${head}`, rootDir) : null;
+    const differing = git(`diff --no-renames --name-only ${head} ${parentRef}`, rootDir);
+    if (!changed || differing === null) {
+        return false;
+    }
+
+    const differingFiles = new Set(differing.split('\n'));
+    return changed.split('\n').every(file => !differingFiles.has(file));
+}
+
+/**
+ * Check whether a branch's work is already in its parent
+ * A merge recorded by worktree:merge counts while the branch has not moved since and the
+ * merge is still on the parent. Otherwise commits reapplied on the parent (rebase or
+ * cherry-pick) or changes that are all in the parent (squash merge) count as merged.
+ * A branch without commits of its own only counts once it has moved past the baseCommit
+ * recorded at creation (e.g. fast-forwarded), so a freshly created worktree is not reported
+ * as merged; without a recorded baseCommit it never counts.
+ * @param {string} rootDir - Repository root
+ * @param {Object} worktree - Worktree from getWorktrees()
+ * @param {string} parentRef - Parent branch ref
+ * @param {number} ahead - Commits on the branch not on the parent
+ * @returns {boolean}
+ */
+function isMerged(rootDir, worktree, parentRef, ahead) {
+    const { info } = worktree;
+    if (info?.mergedHead && info.mergedHead === worktree.head && `refs/heads/${info.mergedInto}` === parentRef
+        && git(`merge-base --is-ancestor ${info.mergeCommit} ${parentRef}`, rootDir) !== null) {
+        return true;
+    }
+
+    if (ahead === 0) {
+        return Boolean(info?.baseCommit) && worktree.head !== info.baseCommit;
+    }
+
+    const cherry = git(`cherry ${parentRef} ${worktree.head}`, rootDir);
+    if (cherry && cherry.split('\n').every(line => line.startsWith('-'))) {
+        return true;
+    }
+
+    return hasChangesInParent(rootDir, parentRef, worktree.head);
+}
+
+/**
+ * Work out a worktree's git status relative to its recorded parent branch
+ * @param {string} rootDir - Repository root
+ * @param {Object} worktree - Worktree from getWorktrees()
+ * @returns {({parentBranch: string|null, ahead: number|null, behind: number|null, merged: boolean|null,
+ *   dirty: number|null, lastCommit: Object|null, idleDays: number|null})} Status (null where unknown)
+ */
+export function getBranchStatus(rootDir, worktree) {
+    const parentBranch = worktree.info?.parentBranch || null;
+
+    let ahead = null;
+    let behind = null;
+    let merged = null;
+    const parentRef = `refs/heads/${parentBranch}`;
+    if (worktree.head && parentBranch && git(`rev-parse --verify --quiet ${parentRef}`, rootDir)) {
+        const counts = git(`rev-list --left-right --count ${worktree.head}...${parentRef}`, rootDir);
+        if (counts) {
+            [ahead, behind] = counts.split(/\s+/).map(Number);
+            merged = isMerged(rootDir, worktree, parentRef, ahead);
+        }
+    }
+
+    let dirty = null;
+    if (!worktree.missing) {
+        const status = git('status --porcelain', worktree.path);
+        dirty = status === null ? null : status.split('\n').filter(Boolean).length;
+    }
+
+    let lastCommit = null;
+    const log = worktree.head ? git(`log -1 --format=%H%x1f%s%x1f%an%x1f%cI ${worktree.head}`, rootDir) : null;
+    if (log) {
+        const [hash, subject, author, date] = log.split('\x1f');
+        lastCommit = { hash, subject, author, date };
+    }
+    const idleDays = lastCommit ? Math.max(0, Math.floor((Date.now() - Date.parse(lastCommit.date)) / DAY_MS)) : null;
+
+    return { parentBranch, ahead, behind, merged, dirty, lastCommit, idleDays };
+}
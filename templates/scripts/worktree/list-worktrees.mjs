@@ -2,84 +2,309 @@
 
 /**
  * List all git worktrees
- * Usage: npm run worktree:list
+ * Usage: npm run worktree:list -- [<name>] [--json] [--format table|json|csv] [--stale <days>]
+ * Note: The -- separator is required to pass flags through npm to the script
+ *
+ * <name> shows a single worktree, by branch name or by directory name under .trees/.
+ *
+ * --json and --format json print { "schemaVersion": 1, "worktrees": [...] },
+ * with one entry per linked worktree (see "List All Worktrees" in docs/worktrees/WORKTREES.md):
+ *   {
+ *     "name": "feature-auth",             // directory name under .trees/
+ *     "branch": "feature-auth",           // null for a detached HEAD
+ *     "path": "/repo/.trees/feature-auth",
+ *     "parentBranch": "main",             // null if unknown
+ *     "createdAt": "2025-01-15T10:30:00.000Z",
+ *     "ports": { "localstack": 4568, "playwright": 8081, "debug": 9230 },
+ *     "container": { "name": "app-feature-auth-localstack", "status": "running", "detail": "Up 2 hours" },
+ *     "ahead": 3,                         // commits on the branch not on the parent
+ *     "behind": 1,                        // commits on the parent not on the branch
+ *     "dirty": 2,                         // changed + untracked files
+ *     "lastCommit": { "hash": "…", "subject": "…", "author": "…", "date": "…" },
+ *     "merged": false,                    // all of the branch's work is in the parent
+ *     "idleDays": 4                       // whole days since the last commit
+ *   }
+ * --stale <days> keeps only worktrees whose last commit is at least that many days old.
+ * Values that cannot be determined are null. container.status is running,
+ * stopped or unavailable (Docker not installed or not running).
  */
 
 import { execSync } from 'child_process';
-import { existsSync, readdirSync, readFileSync } from 'fs';
+import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { isDockerAvailable } from './lib/docker-cleanup.mjs';
+import { findWorktree, getBranchStatus, getWorktrees, git } from './lib/worktrees.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '../..');
-const treesDir = join(rootDir, '.trees');
 
-console.log('🌳 Git Worktrees\n');
+const SCHEMA_VERSION = 1;
+const FORMATS = ['table', 'json', 'csv'];
 
-try {
-    // Get git worktree list
-    const gitWorktrees = execSync('git worktree list', {
-        cwd: rootDir,
-        encoding: 'utf8'
-    });
-
-    console.log(gitWorktrees);
-
-    // If .trees directory exists, show additional details
-    if (existsSync(treesDir)) {
-        const entries = readdirSync(treesDir, { withFileTypes: true });
-        const worktrees = entries.filter(e => e.isDirectory());
-
-        if (worktrees.length > 0) {
-            console.log('\n📊 Worktree Details:');
-            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-
-            for (const entry of worktrees) {
-                const infoPath = join(treesDir, entry.name, 'test', '.worktree-info.json');
-
-                if (existsSync(infoPath)) {
-                    try {
-                        const info = JSON.parse(readFileSync(infoPath, 'utf8'));
-                        const config = info.configuration;
-
-                        console.log(`\n  ${entry.name}:`);
-                        console.log(`    Created:      ${new Date(info.createdAt).toLocaleString()}`);
-                        console.log(`    LocalStack:   localhost:${config.ports.localstack}`);
-                        console.log(`    Playwright:   localhost:${config.ports.playwright}`);
-                        console.log(`    Container:    ${config.docker.containerPrefix}-localstack`);
-
-                        // Check if container is running
-                        try {
-                            const containerName = `${config.docker.containerPrefix}-localstack`;
-                            const result = execSync(`docker ps --filter "name=${containerName}" --format "{{.Status}}"`, {
-                                encoding: 'utf8'
-                            }).trim();
-
-                            if (result) {
-                                console.log(`    Status:       🟢 Running (${result})`);
-                            } else {
-                                console.log(`    Status:       ⚫ Stopped`);
-                            }
-                        } catch {
-                            console.log(`    Status:       ⚫ Stopped`);
-                        }
-                    } catch (error) {
-                        console.log(`\n  ${entry.name}: (configuration not available)`);
-                    }
-                } else {
-                    console.log(`\n  ${entry.name}: (no test configuration)`);
-                }
+const CSV_COLUMNS = [
+    ['name', w => w.name],
+    ['branch', w => w.branch],
+    ['path', w => w.path],
+    ['parentBranch', w => w.parentBranch],
+    ['createdAt', w => w.createdAt],
+    ['localstackPort', w => w.ports?.localstack],
+    ['playwrightPort', w => w.ports?.playwright],
+    ['debugPort', w => w.ports?.debug],
+    ['containerStatus', w => w.container?.status],
+    ['ahead', w => w.ahead],
+    ['behind', w => w.behind],
+    ['dirty', w => w.dirty],
+    ['lastCommitHash', w => w.lastCommit?.hash],
+    ['lastCommitDate', w => w.lastCommit?.date],
+    ['lastCommitSubject', w => w.lastCommit?.subject],
+    ['merged', w => w.merged],
+    ['idleDays', w => w.idleDays]
+];
+
+/**
+ * Get the status of a worktree's LocalStack container
+ * @param {Object|null} config - Worktree configuration from .worktree-info.json
+ * @param {boolean} dockerAvailable - Whether Docker can be queried
+ * @returns {({name: string, status: string, detail: string|null}|null)}
+ */
+function getContainerStatus(config, dockerAvailable) {
+    if (!config?.docker?.containerPrefix) {
+        return null;
+    }
+
+    const name = `${config.docker.containerPrefix}-localstack`;
+    if (!dockerAvailable) {
+        return { name, status: 'unavailable', detail: null };
+    }
+
+    try {
+        const detail = execSync(`docker ps --filter "name=${name}" --format "\{{.Status}}"`, {
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'pipe']
+        }).trim();
+        return { name, status: detail ? 'running' : 'stopped', detail: detail || null };
+    } catch {
+        return { name, status: 'unavailable', detail: null };
+    }
+}
+
+/**
+ * Collect the status of one worktree
+ * @param {Object} worktree - Worktree from getWorktrees()
+ * @param {boolean} dockerAvailable - Whether Docker can be queried
+ * @returns {Object} Status record (schema in the header comment)
+ */
+function collectStatus(worktree, dockerAvailable) {
+    const { info } = worktree;
+    const status = getBranchStatus(rootDir, worktree);
+
+    return {
+        name: worktree.name,
+        branch: worktree.branch,
+        path: worktree.path,
+        parentBranch: status.parentBranch,
+        createdAt: info?.createdAt || null,
+        ports: info?.configuration?.ports || null,
+        container: getContainerStatus(info?.configuration, dockerAvailable),
+        ahead: status.ahead,
+        behind: status.behind,
+        dirty: status.dirty,
+        lastCommit: status.lastCommit,
+        merged: status.merged,
+        idleDays: status.idleDays
+    };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Print worktrees as CSV (header row first)
+ * @param {Array<Object>} worktrees - Status records
+ */
+function printCsv(worktrees) {
+    console.log(CSV_COLUMNS.map(([header]) => header).join(','));
+    for (const worktree of worktrees) {
+        console.log(CSV_COLUMNS.map(([, get]) => toCsvField(get(worktree))).join(','));
+    }
+}
+
+/**
+ * Print one line per worktree with the columns that answer "what needs attention"
+ * @param {Array<Object>} worktrees - Status records
+ */
+function printSummary(worktrees) {
+    const show = value => (value === null ? '?' : String(value));
+    const rows = [
+        ['WORKTREE', 'CHANGES', 'AHEAD', 'BEHIND', 'MERGED', 'LAST COMMIT'],
+        ...worktrees.map(w => [
+            w.name,
+            show(w.dirty),
+            show(w.ahead),
+            show(w.behind),
+            w.merged === null ? '?' : (w.merged ? 'yes' : 'no'),
+            w.idleDays === null ? '?' : (w.idleDays === 0 ? 'today' : `${w.idleDays}d ago`)
+        ])
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+
+    for (const row of rows) {
+        console.log('  ' + row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+    }
+}
+
+/**
+ * Print worktrees for humans
+ * @param {Array<Object>} worktrees - Status records
+ * @param {number|null} staleDays - --stale filter, if given
+ */
+function printTable(worktrees, staleDays) {
+    console.log('🌳 Git Worktrees\n');
+
+    if (staleDays === null) {
+        console.log(git('worktree list', rootDir) || '');
+    } else if (worktrees.length === 0) {
+        console.log(`No worktrees without commits for ${staleDays} day(s) or more`);
+    } else {
+        console.log(`Worktrees without commits for ${staleDays} day(s) or more:`);
+    }
+
+    if (worktrees.length > 0) {
+        console.log('');
+        printSummary(worktrees);
+
+        console.log('\n📊 Worktree Details:');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+        for (const worktree of worktrees) {
+            console.log(`\n  ${worktree.name}:`);
+
+            if (worktree.branch && worktree.branch !== worktree.name) {
+                console.log(`    Branch:       ${worktree.branch}`);
+            }
+            if (worktree.parentBranch) {
+                const sync = worktree.ahead === null
+                    ? ''
+                    : ` (${worktree.ahead} ahead, ${worktree.behind} behind)`;
+                console.log(`    Parent:       ${worktree.parentBranch}${sync}`);
+            }
+            if (worktree.createdAt) {
+                console.log(`    Created:      ${new Date(worktree.createdAt).toLocaleString()}`);
+            }
+            if (worktree.dirty !== null) {
+                console.log(`    Changes:      ${worktree.dirty === 0 ? 'clean' : `${worktree.dirty} uncommitted file(s)`}`);
+            }
+            if (worktree.lastCommit) {
+                console.log(`    Last commit:  ${worktree.lastCommit.hash.slice(0, 7)} ${worktree.lastCommit.subject} (${worktree.idleDays} day(s) ago)`);
+            }
+            if (worktree.merged) {
+                console.log(`    Merged:       ✅ all work is in ${worktree.parentBranch}`);
+            }
+
+            if (!worktree.ports) {
+                console.log('    (no test configuration)');
+                continue;
             }
 
-            console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+            console.log(`    LocalStack:   localhost:${worktree.ports.localstack}`);
+            console.log(`    Playwright:   localhost:${worktree.ports.playwright}`);
+
+            if (worktree.container) {
+                console.log(`    Container:    ${worktree.container.name}`);
+            }
+
+            // Generated environment files (written by worktree:create)
+            const envFile = existsSync(join(worktree.path, 'test', '.env.worktree')) ? '✅ .env.worktree' : '⚠️  .env.worktree missing';
+            const composeFile = existsSync(join(worktree.path, 'test', 'docker-compose.worktree.yml'))
+                ? '✅ docker-compose.worktree.yml'
+                : '➖ no docker-compose.worktree.yml';
+            console.log(`    Env files:    ${envFile}, ${composeFile}`);
+
+            if (worktree.container?.status === 'running') {
+                console.log(`    Status:       🟢 Running (${worktree.container.detail})`);
+            } else if (worktree.container?.status === 'stopped') {
+                console.log(`    Status:       ⚫ Stopped`);
+            } else if (worktree.container) {
+                console.log(`    Status:       ❔ Docker unavailable`);
+            }
         }
+
+        console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     }
 
     console.log('\n💡 Commands:');
     console.log('  Create:  npm run worktree:create <branch-name>');
     console.log('  Remove:  npm run worktree:remove <branch-name>');
     console.log('  Merge:   npm run worktree:merge <branch-name>');
+    console.log('  Prune:   npm run worktree:prune');
+    console.log('  Sync:    npm run worktree:sync -- --all');
+    console.log('  JSON:    npm run worktree:list -- --json');
+    console.log('  Stale:   npm run worktree:list -- --stale 14');
+}
+
+let options;
+let positionals;
+try {
+    ({ values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            json: { type: 'boolean', default: false },
+            format: { type: 'string', default: 'table' },
+            stale: { type: 'string' }
+        }
+    }));
+} catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error('Usage: npm run worktree:list -- [<name>] [--json] [--format table|json|csv] [--stale <days>]');
+    process.exit(1);
+}
+
+const staleDays = options.stale === undefined ? null : Number(options.stale);
+if (staleDays !== null && !(Number.isInteger(staleDays) && staleDays >= 0)) {
+    console.error(`❌ Error: --stale needs a number of days (got "${options.stale}")`);
+    process.exit(1);
+}
+
+const format = options.json ? 'json' : options.format;
+if (!FORMATS.includes(format)) {
+    console.error(`❌ Error: Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    process.exit(1);
+}
+
+const nameFilter = positionals[0] || null;
+
+try {
+    let worktreeList = getWorktrees(rootDir);
+    if (nameFilter) {
+        const match = findWorktree(rootDir, nameFilter);
+        if (!match) {
+            console.error(`❌ Error: No worktree for "${nameFilter}" (give a branch name or a directory name under .trees/)`);
+            process.exit(1);
+        }
+        worktreeList = [match];
+    }
+    const dockerAvailable = worktreeList.some(w => w.info?.configuration?.docker) && isDockerAvailable();
+    const worktrees = worktreeList
+        .map(worktree => collectStatus(worktree, dockerAvailable))
+        .filter(worktree => staleDays === null || (worktree.idleDays !== null && worktree.idleDays >= staleDays));
+
+    if (format === 'json') {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, worktrees }, null, 2));
+    } else if (format === 'csv') {
+        printCsv(worktrees);
+    } else {
+        printTable(worktrees, staleDays);
+    }
 
 } catch (error) {
     console.error('❌ Error listing worktrees:', error.message);
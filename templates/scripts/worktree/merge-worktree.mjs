@@ -2,14 +2,50 @@
 
 /**
  * Merge a worktree branch into the current branch while preserving worktree-specific files
- * Usage: npm run worktree:merge <branch-name> -- [--update] [--force] [--no-push]
+ * Usage: npm run worktree:merge <branch-name> -- [--strategy no-ff|squash|rebase] [--update] [--force] [--no-push] [--skip-tests] [--pr] [--dry-run]
+ *        npm run worktree:merge -- --continue | --abort
  * Note: The -- separator is required to pass flags through npm to the script
+ *
+ * <branch-name> may also be the worktree's directory name under .trees/ (for a branch
+ * like feature/JIRA-123, either feature/JIRA-123 or feature-jira-123).
+ *
+ * Strategies (default: "worktree.mergeStrategy" in .worktrees, else no-ff):
+ *   no-ff   Merge commit that keeps the branch's commits
+ *   squash  One commit whose message lists the branch's commit subjects
+ *   rebase  Rebase the branch onto the current branch, then apply its commits one by one
+ *
+ * When "worktree.testCommand" is set in .worktrees, the command runs inside the
+ * worktree (with the ports from its test/.env.worktree) before merging, and a
+ * failure aborts the merge. --skip-tests bypasses it.
+ *
+ * --pr pushes the branch and opens a pull request against the current (parent)
+ * branch instead of merging locally, for branches that only accept changes
+ * through pull requests. The body is taken from the worktree's CLAUDE_INSTRUCTIONS.md
+ * (see lib/hosting.mjs for the providers).
+ *
+ * --dry-run lists the files that would be merged, skipped and preserved, with the
+ * rule that matched each one, without changing anything.
+ *
+ * When a merge stops on conflicts, it is recorded in .trees/.merge-state.json and a
+ * conflict report lists the commits on both sides that touched each file. After
+ * resolving, --continue applies the exclusions, commits and pushes; --abort undoes it.
+ *
+ * pre-merge hooks run after the checks, before anything is changed (also before --pr
+ * opens a pull request; not on --dry-run), and a failing one stops the merge. post-merge
+ * hooks run once the merge is committed and pushed (see lib/hooks.mjs).
  */
 
-import { execSync } from 'child_process';
-import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { execSync, spawnSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { matchesGlob } from './lib/glob.mjs';
+import { describeWorktree, getHooks, runHooks } from './lib/hooks.mjs';
+import { getHostingProvider } from './lib/hosting.mjs';
+import { updateFromParent } from './lib/sync.mjs';
+import { loadWorktreeSettings, readEnvFile } from './lib/worktree-config.mjs';
+import { findWorktree, writeWorktreeInfo } from './lib/worktrees.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,10 +59,12 @@ const colors = {
     green: '\x1b[32m',
     yellow: '\x1b[33m',
     blue: '\x1b[34m',
-    cyan: '\x1b[36m'
+    cyan: '\x1b[36m',
+    gray: '\x1b[90m'
 };
 
-// Files that should NEVER be merged from worktrees
+// Files that should NEVER be merged from worktrees (built-in defaults; projects add
+// their own under merge.exclude in .worktrees or worktree.config.json, see lib/glob.mjs for the syntax)
 const WORKTREE_SPECIFIC_FILES = [
     '.env.worktree',
     '.worktree-info.json',
@@ -40,11 +78,11 @@ const WORKTREE_SPECIFIC_FILES = [
     '**/localstack-data-*'
 ];
 
-// Files that should preserve main branch values
+// Files that should preserve main branch values (built-in defaults, extended by merge.preserve)
 const PRESERVE_MAIN_FILES = [
     'test/.env',
     'test/package.json',
-    '.gitignore'
+    '/.gitignore'
 ];
 
 function colorize(text, color) {
@@ -71,29 +109,44 @@ function getModifiedFiles(sourceBranch, targetBranch) {
     return diff ? diff.split('\n').filter(f => f) : [];
 }
 
-function isWorktreeSpecificFile(file) {
-    return WORKTREE_SPECIFIC_FILES.some(pattern => {
-        // Handle glob patterns
-        if (pattern.includes('*')) {
-            const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-            return regex.test(file);
-        }
-        // Handle directory patterns
-        if (pattern.endsWith('/')) {
-            return file.startsWith(pattern);
-        }
-        // Exact match
-        return file === pattern;
-    });
+/**
+ * Combine the built-in patterns with the ones from the settings files
+ * @param {Array<string>} defaults - Built-in patterns
+ * @param {Array<{pattern: string, source: string}>} configured - Rules from loadWorktreeSettings()
+ * @returns {Array<{pattern: string, source: string}>} Rules, defaults first
+ */
+function buildRules(defaults, configured) {
+    return [...defaults.map(pattern => ({ pattern, source: 'built-in' })), ...configured];
 }
 
-function shouldPreserveMainVersion(file) {
-    return PRESERVE_MAIN_FILES.includes(file);
+/**
+ * Find the first rule matching a file
+ * @param {string} file - Repository-relative path
+ * @param {Array<{pattern: string, source: string}>} rules - Rules from buildRules()
+ * @returns {({pattern: string, source: string}|undefined)}
+ */
+function findRule(file, rules) {
+    return rules.find(rule => matchesGlob(file, rule.pattern));
+}
+
+/**
+ * Stage a file as it was at a given commit, deleting it if it did not exist there
+ * @param {string} file - Path relative to the repository root
+ * @param {string} commit - Commit to take the file from
+ */
+function restoreFile(file, commit) {
+    if (execCommand(`git cat-file -e "${commit}:${file}"`, { ignoreError: true, stdio: 'pipe' }) !== null) {
+        console.log(`   Restoring main branch version: ${file}`);
+        execCommand(`git checkout ${commit} -- "${file}"`);
+    } else {
+        console.log(`   Removing ${file} (not in the main branch version)`);
+        execCommand(`git rm -q -f --ignore-unmatch -- "${file}"`);
+    }
 }
 
-function detectExpectedParentBranch(branchName) {
+function detectExpectedParentBranch(worktreePath) {
     // Try reading from .worktree-info.json first
-    const infoPath = join(rootDir, '.trees', branchName, 'test', '.worktree-info.json');
+    const infoPath = join(worktreePath, 'test', '.worktree-info.json');
 
     if (existsSync(infoPath)) {
         try {
@@ -107,7 +160,7 @@ function detectExpectedParentBranch(branchName) {
     }
 
     // Fallback: Try reading from CLAUDE_INSTRUCTIONS.md
-    const claudePath = join(rootDir, '.trees', branchName, 'CLAUDE_INSTRUCTIONS.md');
+    const claudePath = join(worktreePath, 'CLAUDE_INSTRUCTIONS.md');
     if (existsSync(claudePath)) {
         try {
             const content = readFileSync(claudePath, 'utf8');
@@ -127,25 +180,683 @@ function isRootBranch(branchName) {
     return ['main', 'master', 'staging', 'prod'].includes(branchName);
 }
 
-// Get branch name and options from arguments
-const branchName = process.argv[2];
-const updateFlag = process.argv.includes('--update');
-const forceFlag = process.argv.includes('--force');
-const noPushFlag = process.argv.includes('--no-push');
+const STRATEGIES = ['no-ff', 'squash', 'rebase'];
 
-if (!branchName) {
-    console.error(colorize('❌ Error: Please provide a branch name', 'red'));
-    console.error('Usage: npm run worktree:merge <branch-name> -- [--update] [--force] [--no-push]');
+function printUsage() {
+    console.error('Usage: npm run worktree:merge <branch-name> -- [--strategy no-ff|squash|rebase] [--update] [--force] [--no-push] [--skip-tests] [--pr] [--dry-run]');
+    console.error('       npm run worktree:merge -- --continue | --abort');
     console.error('Note: The -- separator is required to pass flags through npm');
     console.error('');
     console.error('Flags:');
-    console.error('  --update   Automatically rebase the branch before merging');
-    console.error('  --force    Merge even if branch is outdated');
-    console.error('  --no-push  Skip automatic push to origin after merge');
+    console.error('  --strategy  How to bring the branch in (default: no-ff, or worktree.mergeStrategy in .worktrees)');
+    console.error('                no-ff   merge commit that keeps the branch history');
+    console.error('                squash  single commit listing the branch\'s commit subjects');
+    console.error('                rebase  rebase onto the current branch, then apply its commits (linear)');
+    console.error('  --update    Automatically rebase the branch before merging');
+    console.error('  --force     Merge even if branch is outdated');
+    console.error('  --no-push   Skip automatic push to origin after merge');
+    console.error('  --skip-tests  Skip the pre-merge test command (worktree.testCommand in .worktrees)');
+    console.error('  --pr        Push the branch and open a pull request instead of merging locally');
+    console.error('  --dry-run   Show which files would be merged, skipped or preserved (and by which rule)');
+    console.error('  --continue  Finish a merge that stopped on conflicts, after resolving them');
+    console.error('  --abort     Abandon a merge that stopped on conflicts');
     console.error('');
     console.error('Examples:');
     console.error('  npm run worktree:merge feature-auth -- --update');
+    console.error('  npm run worktree:merge feature-auth -- --strategy squash');
     console.error('  npm run worktree:merge feature-auth -- --no-push');
+    console.error('  npm run worktree:merge feature-auth -- --pr');
+}
+
+// Get branch name and options from arguments
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            strategy: { type: 'string' },
+            update: { type: 'boolean', default: false },
+            force: { type: 'boolean', default: false },
+            'no-push': { type: 'boolean', default: false },
+            'skip-tests': { type: 'boolean', default: false },
+            pr: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            continue: { type: 'boolean', default: false },
+            abort: { type: 'boolean', default: false }
+        }
+    });
+} catch (error) {
+    console.error(colorize(`❌ Error: ${error.message}`, 'red'));
+    printUsage();
+    process.exit(1);
+}
+
+// The worktree can be named by its branch or by its directory under .trees/
+const worktreeArg = args.positionals[0];
+const worktree = worktreeArg ? findWorktree(rootDir, worktreeArg) : null;
+const branchName = worktree?.branch || worktreeArg;
+const worktreePath = worktree?.path || (worktreeArg ? join(rootDir, '.trees', worktreeArg) : null);
+const updateFlag = args.values.update;
+const forceFlag = args.values.force;
+const noPushFlag = args.values['no-push'];
+const skipTestsFlag = args.values['skip-tests'];
+const prFlag = args.values.pr;
+const dryRunFlag = args.values['dry-run'];
+const continueFlag = args.values.continue;
+const abortFlag = args.values.abort;
+const settings = loadWorktreeSettings(rootDir);
+const strategy = args.values.strategy || settings.mergeStrategy || 'no-ff';
+const excludeRules = buildRules(WORKTREE_SPECIFIC_FILES, settings.merge.exclude);
+const preserveRules = buildRules(PRESERVE_MAIN_FILES, settings.merge.preserve);
+
+if (continueFlag && abortFlag) {
+    console.error(colorize('❌ Error: --continue and --abort cannot be combined', 'red'));
+    process.exit(1);
+}
+
+if (!branchName && !continueFlag && !abortFlag) {
+    console.error(colorize('❌ Error: Please provide a branch name', 'red'));
+    printUsage();
+    process.exit(1);
+}
+
+if (!STRATEGIES.includes(strategy)) {
+    console.error(colorize(`❌ Error: Unknown merge strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`, 'red'));
+    process.exit(1);
+}
+
+if (prFlag && noPushFlag) {
+    console.error(colorize('❌ Error: --pr cannot be combined with --no-push (the pull request needs the branch on origin)', 'red'));
+    process.exit(1);
+}
+
+if (prFlag && args.values.strategy) {
+    console.error(colorize('❌ Error: --pr cannot be combined with --strategy (choose the merge method on the pull request)', 'red'));
+    process.exit(1);
+}
+
+/**
+ * Run the configured test command inside a worktree, streaming its output
+ * The worktree's test/.env.worktree is added to the environment so the tests
+ * use the worktree's own LocalStack and Playwright ports.
+ * @param {string} worktreePath - Path to the worktree
+ * @param {string} command - Shell command, e.g. "cd test && npm test"
+ * @returns {({passed: boolean, exitCode: number|null, signal: string|null, seconds: string})} Result
+ */
+function runTestGate(worktreePath, command) {
+    const env = { ...process.env, ...readEnvFile(join(worktreePath, 'test', '.env.worktree')) };
+    const startedAt = Date.now();
+
+    const result = spawnSync(command, { cwd: worktreePath, env, shell: true, stdio: 'inherit' });
+
+    return {
+        passed: result.status === 0,
+        exitCode: result.status,
+        signal: result.signal,
+        seconds: ((Date.now() - startedAt) / 1000).toFixed(1)
+    };
+}
+
+/**
+ * Rebase a worktree's branch onto the parent branch inside the worktree,
+ * stashing and restoring uncommitted changes around the rebase.
+ * Exits the process with instructions if the rebase cannot be completed.
+ * @param {string} worktreePath - Path to the worktree
+ * @param {string} branchName - Branch checked out in the worktree
+ * @param {string} parentBranch - Branch to rebase onto
+ */
+function rebaseOntoParent(worktreePath, branchName, parentBranch) {
+    // Verify worktree directory exists
+    if (!existsSync(worktreePath)) {
+        console.error(colorize(`\n❌ Error: Worktree directory not found: ${worktreePath}`, 'red'));
+        console.error(colorize('   The branch may not be in a worktree, or the worktree was removed.', 'yellow'));
+        console.error(colorize('   You may need to:', 'yellow'));
+        console.error(colorize('   1. git worktree prune (if worktree was manually deleted)', 'yellow'));
+        console.error(colorize('   2. Or rebase the branch manually and re-run the merge', 'yellow'));
+        process.exit(1);
+    }
+
+    const result = updateFromParent(worktreePath, branchName, parentBranch, {
+        log: message => console.log(colorize(`  → ${message}`, 'gray'))
+    });
+
+    if (result.status === 'up-to-date') {
+        console.log(colorize('  ✓ Branch is already up-to-date with parent (no rebase needed)', 'gray'));
+        return;
+    }
+
+    if (result.status === 'conflict' && result.conflicts.length === 0) {
+        // A rebase or merge was already in progress in the worktree
+        console.error(colorize(`\n❌ Cannot update the branch: ${result.detail}`, 'red'));
+        console.error(colorize(`   cd ${worktreePath}, then re-run the merge command`, 'yellow'));
+        process.exit(1);
+    }
+
+    if (result.status === 'conflict') {
+        // The rebase was aborted, so the branch is unchanged and there is nothing to --continue
+        console.error(colorize(`\n❌ Rebase onto '${parentBranch}' hit conflicts - it was aborted and '${branchName}' is unchanged:`, 'red'));
+        result.conflicts.forEach(file => console.error(`   ${file}`));
+        if (result.stashed && !result.stashRestored) {
+            console.error(colorize(`   Your uncommitted changes are still in the stash (cd ${worktreePath} && git stash list)`, 'yellow'));
+        }
+        console.error(colorize('\n💡 To resolve the conflicts:', 'cyan'));
+        console.error(colorize(`  1. npm run worktree:sync -- ${branchName}   (rebases again and leaves the conflicts in the worktree)`, 'yellow'));
+        console.error(colorize(`  2. cd ${worktreePath}, fix the files, git add <resolved-files>, git rebase --continue`, 'yellow'));
+        console.error(colorize('  3. cd back to root and re-run the merge command', 'yellow'));
+        process.exit(1);
+    }
+
+    if (result.status === 'failed') {
+        console.error(colorize('\n❌ Failed to update branch: ' + result.detail, 'red'));
+        if (result.stashed && !result.stashRestored) {
+            console.log(colorize(`  ℹ️  Your changes are in the stash. To restore: cd ${worktreePath} && git stash pop`, 'yellow'));
+        }
+        process.exit(1);
+    }
+
+    if (result.stashed && !result.stashRestored) {
+        console.error(colorize('\n⚠️  Warning: Stash pop had conflicts', 'yellow'));
+        console.error(colorize('  Your changes are still in the stash.', 'yellow'));
+        console.error(colorize(`  To resolve: cd ${worktreePath} && git stash drop`, 'yellow'));
+    } else if (result.stashed) {
+        console.log(colorize('  ✓ Changes restored', 'gray'));
+    }
+
+    console.log(colorize('✅ Branch updated successfully', 'green'));
+}
+
+/**
+ * Get a section of the worktree's CLAUDE_INSTRUCTIONS.md, without the TODO placeholders
+ * @param {string} content - File content
+ * @param {string} heading - Section heading without the "## " prefix
+ * @returns {string|null} Section text, or null if the section is missing or still a placeholder
+ */
+function getInstructionsSection(content, heading) {
+    const lines = content.split('\n');
+    const start = lines.findIndex(line => line.trim() === `## ${heading}`);
+    if (start === -1) {
+        return null;
+    }
+
+    const section = [];
+    let inCodeBlock = false;
+    for (const line of lines.slice(start + 1)) {
+        if (line.startsWith('```')) {
+            inCodeBlock = !inCodeBlock;
+        } else if (!inCodeBlock && /^(#{1,2} |---\s*$)/.test(line)) {
+            break;
+        }
+        if (!/^\s*(- \[ \] )?TODO: Add /.test(line)) {
+            section.push(line);
+        }
+    }
+
+    const text = section.join('\n').trim();
+    return text || null;
+}
+
+/**
+ * Build the pull request body from the worktree's CLAUDE_INSTRUCTIONS.md and commits
+ * @param {string} worktreePath - Path to the worktree
+ * @param {string} branchName - Worktree branch
+ * @param {Array<string>} commitSubjects - Subjects of the branch's commits, oldest first
+ * @returns {string} Markdown body
+ */
+function buildPullRequestBody(worktreePath, branchName, commitSubjects) {
+    const instructionsPath = join(worktreePath, 'CLAUDE_INSTRUCTIONS.md');
+    const content = existsSync(instructionsPath) ? readFileSync(instructionsPath, 'utf8') : '';
+
+    const sections = [
+        ['Description', getInstructionsSection(content, 'Feature/Fix Description')],
+        ['Tasks', getInstructionsSection(content, 'Task List')],
+        ['Testing Strategy', getInstructionsSection(content, 'Testing Strategy')],
+        ['Commits', commitSubjects.map(subject => `- ${subject}`).join('\n')]
+    ];
+
+    return sections
+        .filter(([, text]) => text)
+        .map(([title, text]) => `## ${title}\n\n${text}`)
+        .concat(`---\nOpened with \`npm run worktree:merge\` from worktree \`${branchName}\`.`)
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Push the worktree branch and open a pull request against the parent branch
+ * @param {string} worktreePath - Path to the worktree
+ * @param {string} branchName - Worktree branch
+ * @param {string} parentBranch - Branch the pull request targets
+ * @param {Array<string>} excludedFiles - Worktree-specific and preserved files changed on the branch
+ * @returns {Promise<void>}
+ */
+async function openPullRequest(worktreePath, branchName, parentBranch, excludedFiles) {
+    console.log(colorize('\n📬 Opening pull request...', 'cyan'));
+
+    let provider;
+    try {
+        provider = getHostingProvider(rootDir, settings);
+    } catch (error) {
+        console.error(colorize(`\n❌ Error: ${error.message}`, 'red'));
+        console.error(colorize('   Set worktree.hosting.provider in .worktrees (github or local) to choose a provider.', 'yellow'));
+        process.exit(1);
+    }
+    console.log(colorize(`   Provider: ${provider.name}`, 'blue'));
+
+    // A pull request contains the branch as it is, so nothing can be left out
+    if (excludedFiles.length > 0) {
+        console.log(colorize('\n⚠️  The pull request will include these files, which a local merge would leave out:', 'yellow'));
+        excludedFiles.forEach(file => console.log(`   - ${file}`));
+    }
+
+    console.log(colorize(`\n📤 Pushing '${branchName}' to origin...`, 'cyan'));
+    try {
+        execCommand(`git push -u origin ${branchName}`);
+        console.log(colorize('✅ Branch pushed', 'green'));
+    } catch (error) {
+        console.error(colorize('\n❌ Error: Failed to push the branch', 'red'));
+        console.error(colorize(error.message, 'yellow'));
+        console.error(colorize('\n💡 If the branch was rebased after an earlier push, push it with:', 'cyan'));
+        console.error(`   git push --force-with-lease origin ${branchName}`);
+        console.error('   Then run the command again.');
+        process.exit(1);
+    }
+
+    const commitSubjects = execCommand(`git log --reverse --format=%s ${parentBranch}..${branchName}`).split('\n').filter(Boolean);
+    const title = commitSubjects.length === 1 ? commitSubjects[0] : branchName;
+    const body = buildPullRequestBody(worktreePath, branchName, commitSubjects);
+
+    let pullRequest;
+    try {
+        pullRequest = await provider.createPullRequest({ head: branchName, base: parentBranch, title, body });
+    } catch (error) {
+        console.error(colorize('\n❌ Error: Could not open the pull request', 'red'));
+        console.error(colorize(`   ${error.message}`, 'yellow'));
+        console.error(colorize(`\n   The branch was pushed; open the pull request for '${branchName}' -> '${parentBranch}' manually.`, 'cyan'));
+        process.exit(1);
+    }
+
+    console.log(colorize(`\n✅ ${pullRequest.existing ? 'Pull request already open' : 'Pull request opened'}: #${pullRequest.number}`, 'green'));
+    console.log(colorize(`   ${branchName} -> ${parentBranch}`, 'blue'));
+    console.log(colorize(`   ${pullRequest.url}`, 'bright'));
+    console.log(colorize(`\nNothing was merged locally. Remove the worktree once the pull request is merged:`, 'cyan'));
+    console.log(`   npm run worktree:remove ${branchName}`);
+}
+
+/**
+ * Path of the file recording a merge that stopped on conflicts
+ * @returns {string}
+ */
+function getMergeStatePath() {
+    return join(rootDir, '.trees', '.merge-state.json');
+}
+
+/**
+ * Read the recorded in-progress merge
+ * Exits the process with instructions if the state file cannot be read.
+ * @returns {Object|null} Merge state (see startMerge), or null if no merge is waiting
+ */
+function readMergeState() {
+    const statePath = getMergeStatePath();
+    if (!existsSync(statePath)) {
+        return null;
+    }
+
+    let merge = null;
+    try {
+        merge = JSON.parse(readFileSync(statePath, 'utf8'));
+    } catch {
+        // Reported below
+    }
+
+    if (!merge?.branchName || !merge.parentBranch || !merge.preMergeHead) {
+        console.error(colorize(`❌ Error: The recorded merge in ${statePath} is invalid`, 'red'));
+        console.error('   --continue and --abort cannot use it. Delete the file to clear it:');
+        console.error(`   rm ${statePath}`);
+        console.error(colorize('   If git still shows a merge in progress, undo it with: git merge --abort (or git reset --merge)', 'yellow'));
+        process.exit(1);
+    }
+    return merge;
+}
+
+/**
+ * Record a merge that stopped on conflicts, so --continue and --abort can pick it up
+ * @param {Object} merge - Merge state
+ */
+function writeMergeState(merge) {
+    mkdirSync(join(rootDir, '.trees'), { recursive: true });
+    writeFileSync(getMergeStatePath(), JSON.stringify({ version: 1, ...merge, stoppedAt: new Date().toISOString() }, null, 2) + '\n');
+}
+
+function removeMergeState() {
+    rmSync(getMergeStatePath(), { force: true });
+}
+
+// Unmerged status codes of git status --porcelain ("us" is the parent branch)
+const CONFLICT_TYPES = {
+    UU: 'both modified',
+    AA: 'both added',
+    DD: 'both deleted',
+    AU: 'added by parent',
+    UA: 'added by worktree',
+    DU: 'deleted by parent',
+    UD: 'deleted by worktree'
+};
+
+/**
+ * List the files with unresolved conflicts
+ * @returns {Array<{file: string, type: string}>}
+ */
+function getConflicts() {
+    // Not trimmed: the status columns are positional
+    const status = execSync('git status --porcelain', { cwd: rootDir, encoding: 'utf8' });
+    return status.split('\n')
+        .filter(line => CONFLICT_TYPES[line.slice(0, 2)])
+        .map(line => ({ file: line.slice(3), type: CONFLICT_TYPES[line.slice(0, 2)] }));
+}
+
+/**
+ * Print each conflicted file with the commits on both sides that touched it
+ * @param {Array<{file: string, type: string}>} conflicts - From getConflicts()
+ * @param {Object} merge - Merge state
+ */
+function printConflictReport(conflicts, merge) {
+    const mergeBase = execCommand(`git merge-base ${merge.preMergeHead} ${merge.branchName}`, { ignoreError: true });
+    const sides = [
+        [`${merge.branchName} (worktree)`, merge.branchName],
+        [`${merge.parentBranch} (parent)`, merge.preMergeHead]
+    ];
+
+    console.log(colorize(`\n📋 Conflict report (${conflicts.length} file(s)):`, 'red'));
+
+    for (const { file, type } of conflicts) {
+        console.log(`\n   ${colorize(file, 'bright')} - ${type}`);
+
+        for (const [label, ref] of sides) {
+            const log = mergeBase
+                ? execCommand(`git log --format="%h %s (%an, %ar)" ${mergeBase}..${ref} -- "${file}"`, { ignoreError: true })
+                : null;
+            console.log(colorize(`     ${label}:`, 'cyan'));
+            (log ? log.split('\n') : ['(no commits since the branches diverged)'])
+                .forEach(commit => console.log(`       ${commit}`));
+        }
+    }
+}
+
+/**
+ * Build the commit message for a no-ff or squash merge
+ * @param {Object} merge - Merge state
+ * @returns {string}
+ */
+function buildCommitMessage(merge) {
+    if (merge.strategy === 'squash') {
+        const subjects = merge.commitSubjects.map(subject => `- ${subject}`).join('\n');
+        return `Squash merge branch '${merge.branchName}' into ${merge.parentBranch}\n\n${subjects}\n\nExcluded worktree-specific files from merge`;
+    }
+    return `Merge branch '${merge.branchName}' into ${merge.parentBranch}\n\nExcluded worktree-specific files from merge`;
+}
+
+/**
+ * Commit a no-ff or squash merge whose changes are staged and conflict-free, then finish it
+ * @param {Object} merge - Merge state
+ */
+function commitMerge(merge) {
+    // Restore preserved files and take worktree-specific files back out
+    [...merge.filesToPreserve, ...merge.filesToSkip].forEach(file => restoreFile(file, merge.preMergeHead));
+
+    // Check if there are changes to commit
+    const finalStatus = execCommand('git status --porcelain');
+    if (!finalStatus) {
+        console.log(colorize('\n✅ No changes to commit (all changes were worktree-specific)', 'green'));
+        execCommand('git merge --abort', { ignoreError: true, stdio: 'pipe' });
+        removeMergeState();
+        process.exit(0);
+    }
+
+    // Commit the merge (message on stdin, since commit subjects may contain quotes)
+    execCommand('git commit -F -', { input: buildCommitMessage(merge) });
+    removeMergeState();
+    finishMerge(merge);
+}
+
+/**
+ * Apply the branch's commits to the current branch one by one (the rebase strategy),
+ * leaving out the worktree-specific and preserved files, so they never appear in the
+ * parent's history. Commits that only touched those files are dropped.
+ * Resets the current branch and exits the process if a commit does not apply.
+ * @param {Object} merge - Merge state
+ */
+function replayCommits(merge) {
+    const excluded = new Set([...merge.filesToSkip, ...merge.filesToPreserve]);
+    // First-parent history, so a merge of the parent into the branch is applied as one change
+    const commits = execCommand(`git rev-list --reverse --first-parent --parents ${merge.parentBranch}..${merge.branchName}`)
+        .split('\n').filter(Boolean).map(line => line.split(' '));
+    let dropped = 0;
+
+    console.log(`Applying ${commits.length} commit(s)...`);
+    for (const [commit, ...parents] of commits) {
+        console.log(`   ${execCommand(`git log -1 --format="%h %s" ${commit}`)}`);
+        execCommand(`git cherry-pick --no-commit ${parents.length > 1 ? '-m 1 ' : ''}${commit}`, { ignoreError: true, stdio: 'pipe' });
+
+        const touched = execCommand(`git diff --name-only ${parents[0]} ${commit}`).split('\n');
+        touched.filter(file => excluded.has(file)).forEach(file => restoreFile(file, merge.preMergeHead));
+
+        if (getConflicts().length > 0) {
+            console.error(colorize(`\n❌ Error: Commit ${commit.substring(0, 7)} does not apply to '${merge.parentBranch}' - nothing was merged`, 'red'));
+            execCommand('git cherry-pick --abort', { ignoreError: true, stdio: 'pipe' });
+            execCommand('git reset -q --merge', { ignoreError: true });
+            execCommand(`git reset -q --keep ${merge.preMergeHead}`);
+            console.error(colorize('   Update the branch and run the merge again:', 'cyan'));
+            console.error(`   npm run worktree:sync -- ${merge.branchName}`);
+            process.exit(1);
+        }
+
+        // Nothing left once the excluded files are taken out
+        if (execCommand('git diff --cached --quiet', { ignoreError: true }) !== null) {
+            execCommand('git reset -q', { ignoreError: true });
+            dropped++;
+            continue;
+        }
+
+        // Keeps the original message and author
+        execCommand(`git commit -q -C ${commit}`);
+    }
+
+    if (dropped > 0) {
+        console.log(colorize(`   ${dropped} commit(s) only changed worktree-specific files and were left out`, 'gray'));
+    }
+}
+
+/**
+ * Show the merge summary and push the parent branch
+ * @param {Object} merge - Merge state
+ */
+function finishMerge(merge) {
+    // Files the merge brought into the current branch
+    const mergedFiles = execCommand(`git diff --name-only ${merge.preMergeHead} HEAD`).split('\n').filter(f => f);
+
+    console.log(colorize('\n✅ Merge completed successfully!', 'green'));
+
+    // Show summary
+    console.log(colorize('\n📊 Merge Summary:', 'cyan'));
+    console.log(colorize('='.repeat(50), 'cyan'));
+
+    console.log(`Strategy: ${colorize(merge.strategy, 'bright')}`);
+    console.log(`Files merged: ${colorize(mergedFiles.length.toString(), 'bright')}`);
+    if (merge.filesToSkip.length > 0) {
+        console.log(`Files skipped (worktree-specific): ${colorize(merge.filesToSkip.length.toString(), 'yellow')}`);
+    }
+    if (merge.filesToPreserve.length > 0) {
+        console.log(`Files preserved (main branch version): ${colorize(merge.filesToPreserve.length.toString(), 'yellow')}`);
+    }
+
+    if (mergedFiles.length > 0) {
+        console.log(colorize('\n📋 Merged files:', 'green'));
+        mergedFiles.forEach(file => console.log(`   ✓ ${file}`));
+    }
+
+    // Show the resulting commit
+    const commit = execCommand('git rev-parse HEAD');
+    const commitHash = commit.substring(0, 7);
+    recordMerge(merge, commit);
+    const commitLabel = { 'no-ff': 'Merge commit', squash: 'Squash commit', rebase: 'New HEAD' }[merge.strategy];
+    console.log(colorize(`\n📍 ${commitLabel}: ${commitHash}`, 'blue'));
+
+    // Push to origin unless --no-push flag is set
+    if (!merge.noPush) {
+        console.log(colorize('\n📤 Pushing to origin...', 'cyan'));
+
+        try {
+            // Check if remote branch exists
+            const remoteBranch = execCommand(`git rev-parse --verify origin/${merge.parentBranch}`, { ignoreError: true });
+
+            if (remoteBranch) {
+                // Push to existing remote branch
+                execCommand(`git push origin ${merge.parentBranch}`);
+                console.log(colorize('✅ Successfully pushed to origin', 'green'));
+            } else {
+                // Remote branch doesn't exist, push and set upstream
+                console.log(colorize(`⚠️  Remote branch 'origin/${merge.parentBranch}' doesn't exist`, 'yellow'));
+                console.log('Setting upstream and pushing...');
+                execCommand(`git push -u origin ${merge.parentBranch}`);
+                console.log(colorize('✅ Successfully pushed and set upstream', 'green'));
+            }
+        } catch (pushError) {
+            console.error(colorize('\n⚠️  Warning: Failed to push to origin', 'yellow'));
+            console.error(colorize(pushError.message, 'yellow'));
+            console.log(colorize('\nMerge completed locally. You can manually push later with:', 'cyan'));
+            console.log(colorize(`  git push origin ${merge.parentBranch}`, 'bright'));
+        }
+    } else {
+        console.log(colorize('\n⏭️  Skipping push to origin (--no-push flag used)', 'yellow'));
+        console.log(colorize('Remember to push manually when ready:', 'cyan'));
+        console.log(colorize(`  git push origin ${merge.parentBranch}`, 'bright'));
+    }
+
+    // The merge is done either way; a failing hook only changes the exit code
+    const postMerge = runHooks('post-merge', {
+        rootDir,
+        settings,
+        worktree: describeWorktree(rootDir, merge.branchName),
+        details: { merge: { into: merge.parentBranch, strategy: merge.strategy, commit, files: mergedFiles, pushed: !merge.noPush } }
+    });
+    if (!postMerge.ok) {
+        console.error(colorize(`\n⚠️  post-merge hook(s) failed: ${postMerge.failed.join(', ')}`, 'yellow'));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Record the merge in the worktree's .worktree-info.json (mergedInto, mergeCommit,
+ * mergedHead, mergedAt), so worktree:list, worktree:prune and worktree:remove see the
+ * branch as merged even when its commits are not on the parent (squash)
+ * @param {Object} merge - Merge state
+ * @param {string} commit - Resulting commit on the parent branch
+ */
+function recordMerge(merge, commit) {
+    const worktree = findWorktree(rootDir, merge.branchName);
+    if (!worktree?.info || worktree.missing) {
+        return;
+    }
+
+    try {
+        writeWorktreeInfo(worktree.path, {
+            ...worktree.info,
+            mergedInto: merge.parentBranch,
+            mergeCommit: commit,
+            mergedHead: execCommand(`git rev-parse ${merge.branchName}`),
+            mergedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.warn(colorize(`⚠️  Could not record the merge in .worktree-info.json: ${error.message}`, 'yellow'));
+    }
+}
+
+/**
+ * Finish a merge that stopped on conflicts, once they are resolved
+ * @param {Object} merge - Merge state from readMergeState()
+ */
+function continueMerge(merge) {
+    console.log(colorize(`\n▶️  Continuing merge of '${merge.branchName}' into '${merge.parentBranch}' (strategy: ${merge.strategy})`, 'cyan'));
+
+    const currentBranch = getCurrentBranch();
+    if (currentBranch !== merge.parentBranch) {
+        console.error(colorize(`\n❌ Error: The merge was started on '${merge.parentBranch}', but you're on '${currentBranch}'`, 'red'));
+        console.error(`   git checkout ${merge.parentBranch}`);
+        process.exit(1);
+    }
+
+    const conflicts = getConflicts();
+    if (conflicts.length > 0) {
+        printConflictReport(conflicts, merge);
+        console.log(colorize('\nResolve the remaining conflicts and stage them with git add, then run --continue again.', 'yellow'));
+        process.exit(1);
+    }
+
+    // Committed by hand after resolving: only the summary and push are left
+    if (execCommand('git rev-parse HEAD') !== merge.preMergeHead) {
+        console.log(colorize('ℹ️  The merge was already committed', 'blue'));
+        removeMergeState();
+        finishMerge(merge);
+        return;
+    }
+
+    const mergeHead = execCommand('git rev-parse -q --verify MERGE_HEAD', { ignoreError: true, stdio: 'pipe' });
+    if (!mergeHead && !execCommand('git status --porcelain')) {
+        console.error(colorize('\n❌ Error: There is no merge to continue (it was aborted outside this script)', 'red'));
+        removeMergeState();
+        process.exit(1);
+    }
+
+    commitMerge(merge);
+}
+
+/**
+ * Abandon a merge that stopped on conflicts and restore the parent branch
+ * @param {Object} merge - Merge state from readMergeState()
+ */
+function abortMerge(merge) {
+    console.log(colorize(`\n⏹️  Aborting merge of '${merge.branchName}' into '${merge.parentBranch}'`, 'cyan'));
+
+    if (getCurrentBranch() === merge.parentBranch && execCommand('git rev-parse HEAD') !== merge.preMergeHead) {
+        console.error(colorize('\n❌ Error: The merge was already committed - nothing to abort', 'red'));
+        console.error(colorize(`   To undo it: git reset --hard ${merge.preMergeHead.substring(0, 7)}`, 'yellow'));
+        removeMergeState();
+        process.exit(1);
+    }
+
+    // Works for both no-ff (MERGE_HEAD) and squash merges, and keeps unrelated local changes
+    execCommand('git reset --merge', { ignoreError: true });
+    removeMergeState();
+    console.log(colorize(`✅ Merge aborted - '${merge.parentBranch}' is back at ${merge.preMergeHead.substring(0, 7)}`, 'green'));
+}
+
+const pendingMerge = readMergeState();
+
+if (continueFlag || abortFlag) {
+    if (!pendingMerge) {
+        console.error(colorize(`❌ Error: No worktree merge is waiting for ${continueFlag ? '--continue' : '--abort'}`, 'red'));
+        process.exit(1);
+    }
+
+    try {
+        if (continueFlag) {
+            continueMerge({ ...pendingMerge, noPush: pendingMerge.noPush || noPushFlag });
+        } else {
+            abortMerge(pendingMerge);
+        }
+    } catch (error) {
+        console.error(colorize('\n❌ Error: ' + error.message, 'red'));
+        console.error('The merge is still recorded; fix the problem and run --continue again, or --abort.');
+        process.exit(1);
+    }
+    // Exit code 1 if a post-merge hook failed
+    process.exit();
+}
+
+if (pendingMerge && !dryRunFlag) {
+    console.error(colorize(`❌ Error: The merge of '${pendingMerge.branchName}' into '${pendingMerge.parentBranch}' stopped on conflicts`, 'red'));
+    console.error('Finish it first:');
+    console.error('   npm run worktree:merge -- --continue');
+    console.error('   npm run worktree:merge -- --abort');
     process.exit(1);
 }
 
@@ -166,7 +877,7 @@ try {
     console.log(colorize(`📦 Source branch: ${branchName}`, 'blue'));
 
     // Validate parent branch
-    const expectedParent = detectExpectedParentBranch(branchName);
+    const expectedParent = detectExpectedParentBranch(worktreePath);
 
     if (expectedParent) {
         console.log(colorize(`🎯 Expected parent branch: ${expectedParent}`, 'blue'));
@@ -240,21 +951,40 @@ try {
         console.log(colorize('⚠️  Could not fetch from origin (this is OK if working offline)', 'yellow'));
     }
 
-    // Check for uncommitted changes in parent branch
-    const status = execCommand('git status --porcelain');
+    // Check for uncommitted changes in parent branch (not touched when opening a pull request or previewing)
+    const status = prFlag || dryRunFlag ? '' : execCommand('git status --porcelain');
     if (status) {
         console.error(colorize('\n❌ Error: You have uncommitted changes in parent branch', 'red'));
         console.error('Please commit or stash your changes before merging');
         process.exit(1);
     }
 
-    // Check for uncommitted changes in the worktree branch
-    const worktreePath = join(rootDir, '.trees', branchName);
+    // Hooks can stop the merge before the worktree is auto-committed or rebased
+    if (dryRunFlag) {
+        if (getHooks('pre-merge', settings).length > 0) {
+            console.log(colorize('\n🪝 pre-merge hooks are not run on a dry run', 'gray'));
+        }
+    } else {
+        const preMerge = runHooks('pre-merge', {
+            rootDir,
+            settings,
+            worktree: describeWorktree(rootDir, branchName),
+            details: { merge: { into: currentBranch, strategy: prFlag ? null : strategy, pullRequest: prFlag } }
+        });
+        if (!preMerge.ok) {
+            console.error(colorize('\n❌ Error: A pre-merge hook failed - nothing was merged', 'red'));
+            process.exit(1);
+        }
+    }
 
+    // Check for uncommitted changes in the worktree branch
     if (existsSync(worktreePath)) {
         const worktreeStatus = execCommand(`git -C "${worktreePath}" status --porcelain`, { ignoreError: true });
 
-        if (worktreeStatus) {
+        if (worktreeStatus && dryRunFlag) {
+            console.log(colorize('\n📝 Uncommitted changes detected in worktree', 'yellow'));
+            console.log(colorize('   They would be auto-committed before merging and are not part of this preview', 'yellow'));
+        } else if (worktreeStatus) {
             console.log(colorize('\n📝 Uncommitted changes detected in worktree', 'yellow'));
             console.log(colorize('   Auto-committing changes before merge...', 'yellow'));
 
@@ -295,83 +1025,12 @@ Changes committed automatically to ensure they are included in the merge.`;
     if (commitsBehind !== '0') {
         console.log(colorize(`\n⚠️  Branch '${branchName}' is ${commitsBehind} commits behind '${currentBranch}'`, 'yellow'));
 
-        if (updateFlag) {
+        if (dryRunFlag) {
+            console.log(colorize('   Dry run: the branch is not updated; a real merge needs --update, --force or --strategy rebase', 'yellow'));
+        } else if (updateFlag || strategy === 'rebase') {
             console.log(colorize(`\n🔄 Updating branch '${branchName}' with latest from '${currentBranch}'...`, 'cyan'));
 
-            // Calculate worktree path
-            const worktreePath = join(rootDir, '.trees', branchName);
-            let stashCreated = false;
-
-            // Verify worktree directory exists
-            if (!existsSync(worktreePath)) {
-                console.error(colorize(`\n❌ Error: Worktree directory not found: ${worktreePath}`, 'red'));
-                console.error(colorize('   The branch may not be in a worktree, or the worktree was removed.', 'yellow'));
-                console.error(colorize('   You may need to:', 'yellow'));
-                console.error(colorize('   1. git worktree prune (if worktree was manually deleted)', 'yellow'));
-                console.error(colorize('   2. Or rebase manually without --update flag', 'yellow'));
-                process.exit(1);
-            }
-
-            try {
-                // Check if worktree branch has uncommitted changes
-                // Use git -C to operate in the worktree directory where the branch is checked out
-                const worktreeStatus = execCommand(`git -C "${worktreePath}" status --porcelain`);
-
-                if (worktreeStatus) {
-                    console.log(colorize('  ℹ️  Uncommitted changes detected - auto-stashing...', 'yellow'));
-                    execCommand(`git -C "${worktreePath}" stash push -m "Auto-stash for worktree merge"`);
-                    stashCreated = true;
-                    console.log(colorize('  ✓ Changes stashed', 'gray'));
-                }
-
-                // Check if rebase is actually needed (branch might already be ancestor)
-                const needsRebase = execCommand(`git merge-base --is-ancestor ${branchName} ${currentBranch}`, { ignoreError: true });
-
-                if (needsRebase === null) {
-                    // Branch is already an ancestor - no rebase needed
-                    console.log(colorize('  ✓ Branch is already up-to-date with parent (no rebase needed)', 'gray'));
-                } else {
-                    // Rebase onto current branch (execute in worktree context)
-                    console.log(colorize('  → Rebasing onto parent branch...', 'gray'));
-                    const rebaseResult = execCommand(`git -C "${worktreePath}" rebase ${currentBranch}`, { ignoreError: true });
-
-                    if (rebaseResult === null) {
-                        console.error(colorize('\n❌ Rebase failed. Please resolve conflicts manually:', 'red'));
-                        console.error(colorize(`  1. cd ${worktreePath}`, 'yellow'));
-                        console.error(colorize('  2. Fix conflicts in the files', 'yellow'));
-                        console.error(colorize('  3. git add <resolved-files>', 'yellow'));
-                        console.error(colorize('  4. git rebase --continue', 'yellow'));
-                        console.error(colorize('  5. cd back to root and re-run the merge command', 'yellow'));
-                        execCommand(`git -C "${worktreePath}" rebase --abort`, { ignoreError: true });
-                        if (stashCreated) {
-                            execCommand(`git -C "${worktreePath}" stash pop`, { ignoreError: true });
-                        }
-                        process.exit(1);
-                    }
-                }
-
-                // Pop stash if we created one
-                if (stashCreated) {
-                    console.log(colorize('  → Restoring stashed changes...', 'gray'));
-                    const stashPopResult = execCommand(`git -C "${worktreePath}" stash pop`, { ignoreError: true });
-
-                    if (stashPopResult === null) {
-                        console.error(colorize('\n⚠️  Warning: Stash pop had conflicts', 'yellow'));
-                        console.error(colorize('  Your changes are still in the stash.', 'yellow'));
-                        console.error(colorize(`  To resolve: cd ${worktreePath} && git stash drop`, 'yellow'));
-                    } else {
-                        console.log(colorize('  ✓ Changes restored', 'gray'));
-                    }
-                }
-
-                console.log(colorize('✅ Branch updated successfully', 'green'));
-            } catch (error) {
-                console.error(colorize('\n❌ Failed to update branch: ' + error.message, 'red'));
-                if (stashCreated) {
-                    console.log(colorize(`  ℹ️  Your changes are in the stash. To restore: cd ${worktreePath} && git stash pop`, 'yellow'));
-                }
-                process.exit(1);
-            }
+            rebaseOntoParent(worktreePath, branchName, currentBranch);
         } else if (!forceFlag) {
             console.log(colorize('\nOptions:', 'cyan'));
             console.log('  1. Run with --update flag to automatically rebase the branch');
@@ -391,6 +1050,43 @@ Changes committed automatically to ensure they are included in the merge.`;
         console.log(colorize(`✅ Branch '${branchName}' is up to date with '${currentBranch}'`, 'green'));
     }
 
+    // Pre-merge test gate
+    if (settings.testCommand && dryRunFlag) {
+        console.log(colorize(`\n🧪 Pre-merge tests would run: ${settings.testCommand}`, 'cyan'));
+    } else if (settings.testCommand && skipTestsFlag) {
+        console.log(colorize('\n⏭️  Skipping pre-merge tests (--skip-tests flag used)', 'yellow'));
+    } else if (settings.testCommand) {
+        console.log(colorize(`\n🧪 Running pre-merge tests: ${settings.testCommand}`, 'cyan'));
+        console.log(colorize('='.repeat(50), 'cyan'));
+
+        if (!existsSync(worktreePath)) {
+            console.error(colorize(`\n❌ Error: Cannot run tests - worktree directory not found: ${worktreePath}`, 'red'));
+            console.error(colorize('   Merge anyway with:', 'cyan'));
+            console.error(`   npm run worktree:merge ${branchName} -- --skip-tests`);
+            process.exit(1);
+        }
+
+        const testResult = runTestGate(worktreePath, settings.testCommand);
+        console.log(colorize('='.repeat(50), 'cyan'));
+
+        if (!testResult.passed) {
+            const outcome = testResult.signal
+                ? `killed by ${testResult.signal}`
+                : `exit code ${testResult.exitCode}`;
+            console.error(colorize('\n❌ Pre-merge tests failed - merge aborted', 'red'));
+            console.error(`   Command:   ${settings.testCommand}`);
+            console.error(`   Worktree:  ${worktreePath}`);
+            console.error(`   Result:    ${outcome} after ${testResult.seconds}s`);
+            console.error(colorize(`\n   Nothing was merged into '${currentBranch}'.`, 'yellow'));
+            console.error(colorize('\n💡 Fix the failing tests in the worktree and run the merge again,', 'cyan'));
+            console.error(colorize('   or bypass the gate with:', 'cyan'));
+            console.error(`   npm run worktree:merge ${branchName} -- --skip-tests`);
+            process.exit(1);
+        }
+
+        console.log(colorize(`✅ Pre-merge tests passed (${testResult.seconds}s)`, 'green'));
+    }
+
     // Get list of files that will be affected
     console.log(colorize('\n📝 Analyzing changes...', 'yellow'));
     const modifiedFiles = getModifiedFiles(branchName, currentBranch);
@@ -400,30 +1096,42 @@ Changes committed automatically to ensure they are included in the merge.`;
         process.exit(0);
     }
 
-    // Categorize files
+    // Categorize files (exclusion wins over preservation)
     const filesToMerge = [];
     const filesToSkip = [];
     const filesToPreserve = [];
+    const matchedRules = new Map();
 
     modifiedFiles.forEach(file => {
-        if (isWorktreeSpecificFile(file)) {
+        const excludeRule = findRule(file, excludeRules);
+        const preserveRule = excludeRule ? undefined : findRule(file, preserveRules);
+
+        if (excludeRule) {
             filesToSkip.push(file);
-        } else if (shouldPreserveMainVersion(file)) {
+            matchedRules.set(file, excludeRule);
+        } else if (preserveRule) {
             filesToPreserve.push(file);
+            matchedRules.set(file, preserveRule);
         } else {
             filesToMerge.push(file);
         }
     });
 
-    // Display categorized files
+    // Display categorized files with the rule that matched them
+    const nameWidth = Math.max(...modifiedFiles.map(file => file.length));
+    const describeRule = file => {
+        const { pattern, source } = matchedRules.get(file);
+        return `${file.padEnd(nameWidth)}  ← ${pattern} (${source})`;
+    };
+
     if (filesToSkip.length > 0) {
         console.log(colorize('\n⏭️  Files to skip (worktree-specific):', 'yellow'));
-        filesToSkip.forEach(file => console.log(`   - ${file}`));
+        filesToSkip.forEach(file => console.log(`   - ${describeRule(file)}`));
     }
 
     if (filesToPreserve.length > 0) {
         console.log(colorize('\n🔒 Files to preserve (keep main branch version):', 'yellow'));
-        filesToPreserve.forEach(file => console.log(`   - ${file}`));
+        filesToPreserve.forEach(file => console.log(`   - ${describeRule(file)}`));
     }
 
     if (filesToMerge.length > 0) {
@@ -431,163 +1139,83 @@ Changes committed automatically to ensure they are included in the merge.`;
         filesToMerge.forEach(file => console.log(`   + ${file}`));
     }
 
-    // Perform the merge
-    console.log(colorize('\n🚀 Starting merge...', 'cyan'));
-
-    // Save current state of files to preserve
-    const preservedContent = {};
-    filesToPreserve.forEach(file => {
-        const filePath = join(rootDir, file);
-        if (existsSync(filePath)) {
-            preservedContent[file] = readFileSync(filePath, 'utf8');
-        }
-    });
-
-    // Start merge with no-commit to handle conflicts
-    console.log('Initiating git merge...');
-    const mergeResult = execCommand(`git merge ${branchName} --no-commit --no-ff`, { ignoreError: true });
-
-    // Check merge status
-    const mergeStatus = execCommand('git status --porcelain');
-    const hasConflicts = mergeStatus && mergeStatus.includes('UU ');
-
-    if (hasConflicts) {
-        console.log(colorize('\n⚠️  Merge conflicts detected', 'yellow'));
-
-        // Auto-resolve conflicts for preserved files
-        filesToPreserve.forEach(file => {
-            if (mergeStatus.includes(`UU ${file}`)) {
-                console.log(`   Resolving conflict for ${file} (keeping main branch version)...`);
-                const filePath = join(rootDir, file);
-                if (preservedContent[file]) {
-                    writeFileSync(filePath, preservedContent[file]);
-                    execCommand(`git add ${file}`);
-                }
-            }
-        });
-
-        // Reset worktree-specific files if they were added
-        filesToSkip.forEach(file => {
-            if (mergeStatus.includes(file)) {
-                console.log(`   Removing worktree-specific file: ${file}`);
-                execCommand(`git reset HEAD ${file}`, { ignoreError: true });
-                execCommand(`git checkout HEAD -- ${file}`, { ignoreError: true });
-            }
-        });
-
-        // Check if there are remaining conflicts
-        const remainingStatus = execCommand('git status --porcelain');
-        const remainingConflicts = remainingStatus && remainingStatus.includes('UU ');
-
-        if (remainingConflicts) {
-            console.log(colorize('\n❌ Manual conflict resolution required for:', 'red'));
-            const conflictFiles = remainingStatus.split('\n')
-                .filter(line => line.startsWith('UU '))
-                .map(line => line.substring(3));
-            conflictFiles.forEach(file => console.log(`   - ${file}`));
-            console.log(colorize('\nResolve conflicts manually, then run:', 'yellow'));
-            console.log('   git add <resolved-files>');
-            console.log('   git commit');
-            process.exit(1);
-        }
-    } else {
-        // No conflicts, but still need to handle files
-
-        // Restore preserved files
-        filesToPreserve.forEach(file => {
-            if (preservedContent[file]) {
-                console.log(`   Restoring main branch version: ${file}`);
-                const filePath = join(rootDir, file);
-                writeFileSync(filePath, preservedContent[file]);
-                execCommand(`git add ${file}`);
-            }
-        });
-
-        // Remove worktree-specific files if they were added
-        filesToSkip.forEach(file => {
-            const filePath = join(rootDir, file);
-            if (existsSync(filePath)) {
-                console.log(`   Removing worktree-specific file: ${file}`);
-                execCommand(`git reset HEAD ${file}`, { ignoreError: true });
-                execCommand(`git checkout HEAD -- ${file}`, { ignoreError: true });
-            }
-        });
+    if (dryRunFlag) {
+        console.log(colorize('\n🔍 Dry run - nothing was merged. Run without --dry-run to merge.', 'cyan'));
+        process.exit(0);
     }
 
-    // Check if there are changes to commit
-    const finalStatus = execCommand('git status --porcelain');
-    if (!finalStatus) {
-        console.log(colorize('\n✅ No changes to commit (all changes were worktree-specific)', 'green'));
-        execCommand('git merge --abort', { ignoreError: true });
-    } else {
-        // Get the list of files that will be committed BEFORE committing
-        const stagedFiles = execCommand('git diff --cached --name-only').split('\n').filter(f => f);
-
-        // Commit the merge
-        const commitMessage = `Merge branch '${branchName}' into ${currentBranch}\n\nExcluded worktree-specific files from merge`;
-        execCommand(`git commit -m "${commitMessage}"`);
-
-        console.log(colorize('\n✅ Merge completed successfully!', 'green'));
-
-        // Show summary
-        console.log(colorize('\n📊 Merge Summary:', 'cyan'));
-        console.log(colorize('='.repeat(50), 'cyan'));
-
-        console.log(`Files merged: ${colorize(stagedFiles.length.toString(), 'bright')}`);
-        if (filesToSkip.length > 0) {
-            console.log(`Files skipped (worktree-specific): ${colorize(filesToSkip.length.toString(), 'yellow')}`);
-        }
-        if (filesToPreserve.length > 0) {
-            console.log(`Files preserved (main branch version): ${colorize(filesToPreserve.length.toString(), 'yellow')}`);
-        }
+    if (prFlag) {
+        await openPullRequest(worktreePath, branchName, currentBranch, [...filesToSkip, ...filesToPreserve]);
+        process.exit(0);
+    }
 
-        if (stagedFiles.length > 0) {
-            console.log(colorize('\n📋 Merged files:', 'green'));
-            stagedFiles.forEach(file => console.log(`   ✓ ${file}`));
+    // Perform the merge
+    console.log(colorize(`\n🚀 Starting merge (strategy: ${strategy})...`, 'cyan'));
+
+    const merge = {
+        branchName,
+        parentBranch: currentBranch,
+        strategy,
+        preMergeHead: execCommand('git rev-parse HEAD'),
+        // Subjects for the squash commit message, oldest first
+        commitSubjects: strategy === 'squash'
+            ? execCommand(`git log --reverse --format=%s ${currentBranch}..${branchName}`).split('\n').filter(Boolean)
+            : [],
+        filesToSkip,
+        filesToPreserve,
+        noPush: noPushFlag
+    };
+
+    if (strategy === 'rebase') {
+        if (filesToMerge.length === 0) {
+            console.log(colorize('\n✅ No changes to merge (all changes are worktree-specific)', 'green'));
+            process.exit(0);
         }
 
-        // Show the merge commit
-        const commitHash = execCommand('git rev-parse HEAD').substring(0, 7);
-        console.log(colorize(`\n📍 Merge commit: ${commitHash}`, 'blue'));
-
-        // Push to origin unless --no-push flag is set
-        if (!noPushFlag) {
-            console.log(colorize('\n📤 Pushing to origin...', 'cyan'));
+        // The branch was rebased onto the current branch above (and tested there), so its
+        // commits apply cleanly; replay them without the excluded files to keep the history linear
+        replayCommits(merge);
 
-            try {
-                // Check if remote branch exists
-                const remoteBranch = execCommand(`git rev-parse --verify origin/${currentBranch}`, { ignoreError: true });
-
-                if (remoteBranch) {
-                    // Push to existing remote branch
-                    execCommand(`git push origin ${currentBranch}`);
-                    console.log(colorize('✅ Successfully pushed to origin', 'green'));
-                } else {
-                    // Remote branch doesn't exist, push and set upstream
-                    console.log(colorize(`⚠️  Remote branch 'origin/${currentBranch}' doesn't exist`, 'yellow'));
-                    console.log('Setting upstream and pushing...');
-                    execCommand(`git push -u origin ${currentBranch}`);
-                    console.log(colorize('✅ Successfully pushed and set upstream', 'green'));
-                }
-            } catch (pushError) {
-                console.error(colorize('\n⚠️  Warning: Failed to push to origin', 'yellow'));
-                console.error(colorize(pushError.message, 'yellow'));
-                console.log(colorize('\nMerge completed locally. You can manually push later with:', 'cyan'));
-                console.log(colorize(`  git push origin ${currentBranch}`, 'bright'));
+        finishMerge(merge);
+    } else {
+        // Start merge with no-commit to handle conflicts
+        console.log('Initiating git merge...');
+        const mergeCommand = strategy === 'squash'
+            ? `git merge --squash ${branchName}`
+            : `git merge ${branchName} --no-commit --no-ff`;
+        execCommand(mergeCommand, { ignoreError: true });
+
+        if (getConflicts().length > 0) {
+            console.log(colorize('\n⚠️  Merge conflicts detected', 'yellow'));
+
+            // Conflicts in preserved and worktree-specific files resolve to the current branch's version
+            [...filesToPreserve, ...filesToSkip].forEach(file => restoreFile(file, merge.preMergeHead));
+
+            const conflicts = getConflicts();
+            if (conflicts.length > 0) {
+                writeMergeState(merge);
+                printConflictReport(conflicts, merge);
+                console.log(colorize('\n❌ Manual conflict resolution required. Resolve the files above, then run:', 'red'));
+                console.log('   git add <resolved-files>');
+                console.log('   npm run worktree:merge -- --continue');
+                console.log(colorize('\nOr give up on this merge with:', 'yellow'));
+                console.log('   npm run worktree:merge -- --abort');
+                process.exit(1);
             }
-        } else {
-            console.log(colorize('\n⏭️  Skipping push to origin (--no-push flag used)', 'yellow'));
-            console.log(colorize('Remember to push manually when ready:', 'cyan'));
-            console.log(colorize(`  git push origin ${currentBranch}`, 'bright'));
         }
+
+        commitMerge(merge);
     }
 
 } catch (error) {
     console.error(colorize('\n❌ Error during merge:', 'red'));
     console.error(error.message);
 
-    // Try to abort merge if in progress
+    // Try to abort merge if in progress (a squash merge leaves no MERGE_HEAD to abort)
     execCommand('git merge --abort', { ignoreError: true });
+    if (strategy === 'squash') {
+        execCommand('git reset --merge', { ignoreError: true });
+    }
 
     process.exit(1);
 }
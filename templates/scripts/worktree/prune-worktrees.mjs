@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Remove worktrees that are no longer needed
+ * Usage: npm run worktree:prune -- [--merged] [--older-than <days>] [--dry-run] [--yes]
+ * Note: The -- separator is required to pass flags through npm to the script
+ *
+ * A worktree is pruned when its branch is fully merged into its recorded parent
+ * branch, or when its directory no longer exists (an orphaned git worktree entry).
+ * Worktrees with uncommitted changes are always kept.
+ *
+ * Each worktree goes through the pre-remove and post-remove hooks like worktree:remove
+ * (see lib/hooks.mjs); one whose pre-remove hook fails is kept and reported as failed.
+ */
+
+import { existsSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import * as readline from 'readline';
+import { cleanupDockerResources } from './lib/docker-cleanup.mjs';
+import { describeWorktree, runHooks } from './lib/hooks.mjs';
+import { releasePorts } from './lib/port-registry.mjs';
+import { loadConfigHelpers, loadWorktreeSettings } from './lib/worktree-config.mjs';
+import { getBranchStatus, getWorktrees, git } from './lib/worktrees.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '../..');
+
+const USAGE = 'Usage: npm run worktree:prune -- [--merged] [--older-than <days>] [--dry-run] [--yes]';
+
+/**
+ * Prompt user for input using readline
+ */
+function promptUser(question) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer.trim());
+        });
+    });
+}
+
+/**
+ * Decide whether a worktree should be pruned
+ * @param {Object} worktree - Worktree from getWorktrees()
+ * @param {Object} options - Parsed options
+ * @returns {({prune: boolean, reason: string})} Decision and the reason shown to the user
+ */
+function classify(worktree, options) {
+    if (worktree.missing) {
+        return options.merged
+            ? { prune: false, reason: 'directory missing (not pruned with --merged)' }
+            : { prune: true, reason: 'directory missing' };
+    }
+
+    const status = getBranchStatus(rootDir, worktree);
+
+    if (!status.merged) {
+        const reason = status.merged === null ? 'parent branch unknown' : `not merged into ${status.parentBranch}`;
+        return { prune: false, reason };
+    }
+    if (options.olderThan !== null && (status.idleDays === null || status.idleDays < options.olderThan)) {
+        return { prune: false, reason: `merged, but last commit ${status.idleDays} day(s) ago` };
+    }
+    if (status.dirty !== 0) {
+        return { prune: false, reason: `merged, but has ${status.dirty ?? 'unknown'} uncommitted file(s)` };
+    }
+
+    return { prune: true, reason: `merged into ${status.parentBranch}` };
+}
+
+/**
+ * Remove one worktree with its Docker resources and reserved ports
+ * @param {Object} worktree - Worktree from getWorktrees()
+ * @param {Function} generateWorktreeConfig - Configuration generator (for orphaned worktrees)
+ * @param {Object} settings - Settings from loadWorktreeSettings() (for the hooks)
+ * @returns {Promise<boolean>} Whether the post-remove hooks passed
+ * @throws {Error} If a pre-remove hook fails (nothing is removed) or git cannot remove the worktree
+ */
+async function pruneWorktree(worktree, generateWorktreeConfig, settings) {
+    console.log(`\n🗑️  Pruning ${worktree.name}...`);
+
+    const hookWorktree = describeWorktree(rootDir, worktree.branch || worktree.name);
+    const hookDetails = { force: false, prune: true };
+    if (!runHooks('pre-remove', { rootDir, settings, worktree: hookWorktree, details: hookDetails }).ok) {
+        throw new Error('a pre-remove hook failed - kept');
+    }
+
+    // Orphaned worktrees lost their .worktree-info.json with the directory;
+    // resource names are derived from the branch name, so generate them again
+    const config = worktree.info?.configuration
+        || (worktree.branch ? generateWorktreeConfig(worktree.branch) : null);
+
+    if (config?.docker) {
+        cleanupDockerResources(config);
+    }
+
+    if (worktree.missing) {
+        git('worktree prune', rootDir);
+    } else if (git(`worktree remove "${worktree.path}"`, rootDir) === null) {
+        throw new Error(`git worktree remove failed for ${worktree.path}`);
+    }
+
+    if (existsSync(worktree.path)) {
+        rmSync(worktree.path, { recursive: true, force: true });
+    }
+
+    await releasePorts(rootDir, worktree.name);
+    console.log(`✅ Pruned ${worktree.name}`);
+
+    return runHooks('post-remove', { rootDir, settings, worktree: hookWorktree, details: hookDetails }).ok;
+}
+
+let options;
+try {
+    ({ values: options } = parseArgs({
+        options: {
+            merged: { type: 'boolean', default: false },
+            'older-than': { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            yes: { type: 'boolean', short: 'y', default: false }
+        }
+    }));
+} catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+const olderThan = options['older-than'] === undefined ? null : Number(options['older-than']);
+if (olderThan !== null && !(Number.isInteger(olderThan) && olderThan >= 0)) {
+    console.error(`❌ Error: --older-than needs a number of days (got "${options['older-than']}")`);
+    process.exit(1);
+}
+
+console.log('🧹 Pruning worktrees\n');
+
+try {
+    const worktrees = getWorktrees(rootDir);
+    const decisions = worktrees.map(worktree => ({
+        worktree,
+        ...classify(worktree, { merged: options.merged, olderThan })
+    }));
+    const toPrune = decisions.filter(decision => decision.prune);
+    const toKeep = decisions.filter(decision => !decision.prune);
+
+    if (worktrees.length === 0) {
+        console.log('No worktrees found.');
+        process.exit(0);
+    }
+
+    if (toPrune.length > 0) {
+        console.log('Will remove:');
+        toPrune.forEach(({ worktree, reason }) => console.log(`  🗑️  ${worktree.name.padEnd(30)} ${reason}`));
+    }
+    if (toKeep.length > 0) {
+        console.log(`${toPrune.length > 0 ? '\n' : ''}Will keep:`);
+        toKeep.forEach(({ worktree, reason }) => console.log(`  ✅ ${worktree.name.padEnd(30)} ${reason}`));
+    }
+
+    if (toPrune.length === 0) {
+        console.log('\nNothing to prune.');
+        process.exit(0);
+    }
+
+    if (options['dry-run']) {
+        console.log('\n🔍 Dry run - nothing was removed. Run without --dry-run to prune.');
+        process.exit(0);
+    }
+
+    if (!options.yes) {
+        const answer = await promptUser(`\nRemove ${toPrune.length} worktree(s) with their Docker containers, networks and volumes? (y/N): `);
+        if (!['y', 'yes'].includes(answer.toLowerCase())) {
+            console.log('Cancelled - nothing was removed.');
+            process.exit(0);
+        }
+    }
+
+    const { generateWorktreeConfig } = await loadConfigHelpers();
+    const settings = loadWorktreeSettings(rootDir);
+    const failed = [];
+    const hookFailed = [];
+
+    for (const { worktree } of toPrune) {
+        try {
+            if (!await pruneWorktree(worktree, generateWorktreeConfig, settings)) {
+                hookFailed.push(worktree.name);
+            }
+        } catch (error) {
+            console.error(`❌ Could not prune ${worktree.name}: ${error.message}`);
+            failed.push(worktree.name);
+        }
+    }
+
+    console.log('\n🎉 Prune complete!');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`  Removed: ${toPrune.length - failed.length}`);
+    if (failed.length > 0) {
+        console.log(`  Failed:  ${failed.join(', ')}`);
+    }
+    if (hookFailed.length > 0) {
+        console.log(`  post-remove hook failed: ${hookFailed.join(', ')}`);
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('Branches are kept; delete merged ones with: git branch -d <branch>');
+
+    if (failed.length > 0 || hookFailed.length > 0) {
+        process.exit(1);
+    }
+
+} catch (error) {
+    console.error('❌ Error pruning worktrees:', error.message);
+    process.exit(1);
+}
@@ -2,28 +2,201 @@
 
 /**
  * Remove a git worktree and clean up its resources
- * Usage: npm run worktree:remove <branch-name>
+ * Usage: npm run worktree:remove <branch-name> -- [--force] [--archive bundle|patch]
+ * Note: The -- separator is required to pass flags through npm to the script
+ *
+ * <branch-name> may also be the worktree's directory name under .trees/.
+ *
+ * Removal is refused while the worktree holds work that exists nowhere else:
+ * uncommitted changes, untracked files, or commits that are neither on the
+ * parent branch nor on a remote. --force removes it anyway; --archive saves
+ * that work to .trees/.archive/ first (you are asked when running interactively).
+ *
+ * pre-remove hooks run once the checks pass, before anything is deleted, and a failing
+ * one stops the removal; post-remove hooks run afterwards (see lib/hooks.mjs).
  */
 
 import { execSync } from 'child_process';
-import { existsSync, readFileSync, rmSync } from 'fs';
+import { cpSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import * as readline from 'readline';
+import { cleanupDockerResources } from './lib/docker-cleanup.mjs';
+import { describeWorktree, runHooks } from './lib/hooks.mjs';
+import { releasePorts } from './lib/port-registry.mjs';
+import { loadWorktreeSettings } from './lib/worktree-config.mjs';
+import { findWorktree, getBranchStatus, git } from './lib/worktrees.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '../..');
 
-// Get branch name from arguments
-const branchName = process.argv[2];
+const USAGE = 'Usage: npm run worktree:remove <branch-name> -- [--force] [--archive bundle|patch]';
+const ARCHIVE_FORMATS = ['bundle', 'patch'];
 
-if (!branchName) {
+// Tracked files that worktree:create overwrites with worktree-specific content
+const GENERATED_FILES = ['CLAUDE.md'];
+
+/**
+ * Prompt user for input using readline
+ */
+function promptUser(question) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer.trim());
+        });
+    });
+}
+
+/**
+ * Find work in the worktree that would be lost by deleting it
+ * @param {string|null} parentBranch - Recorded parent branch
+ * @returns {({modified: Array<string>, untracked: Array<string>, commits: Array<string>, exclude: Array<string>})}
+ *   Changed tracked files, untracked files, commits (oneline) not on the parent or any remote
+ *   (none once the branch is merged, e.g. squashed), and the rev-list arguments used to exclude
+ *   the parent and remotes
+ */
+function findUnsavedWork(parentBranch) {
+    // Not trimmed: the first status column may be a space
+    const status = execSync('git status --porcelain --untracked-files=all', {
+        cwd: worktreePath,
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const modified = [];
+    const untracked = [];
+    for (const line of status.split('\n').filter(Boolean)) {
+        const file = line.slice(3);
+        if (line.startsWith('??')) {
+            untracked.push(file);
+        } else if (!GENERATED_FILES.includes(file)) {
+            modified.push(file);
+        }
+    }
+
+    const exclude = ['--remotes'];
+    if (parentBranch && git(`rev-parse --verify --quiet refs/heads/${parentBranch}`, rootDir)) {
+        exclude.unshift(`refs/heads/${parentBranch}`);
+    }
+    const log = git(`log --format="%h %s" HEAD --not ${exclude.join(' ')}`, worktreePath);
+    let commits = log ? log.split('\n') : [];
+
+    // A squash merge leaves the branch's commits off the parent, but their changes are in it
+    if (commits.length > 0 && worktree && getBranchStatus(rootDir, worktree).merged) {
+        console.log(`  ✓ ${commits.length} commit(s) not on ${parentBranch}, but merged into it`);
+        commits = [];
+    }
+
+    return { modified, untracked, commits, exclude };
+}
+
+/**
+ * Save the worktree's unsaved work to .trees/.archive/<name>-<timestamp>/
+ * Commits go into a git bundle or a format-patch series; uncommitted changes into
+ * uncommitted.patch and untracked files into untracked/.
+ * @param {Object} work - Result of findUnsavedWork
+ * @param {'bundle'|'patch'} format - Archive format for the commits
+ * @returns {string} Archive directory
+ */
+function archiveWork(work, format) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const archiveDir = join(rootDir, '.trees', '.archive', `${worktreeName}-${timestamp}`);
+    mkdirSync(archiveDir, { recursive: true });
+
+    if (work.commits.length > 0) {
+        if (format === 'bundle') {
+            execSync(`git bundle create "${join(archiveDir, `${worktreeName}.bundle`)}" HEAD --not ${work.exclude.join(' ')}`, {
+                cwd: worktreePath,
+                stdio: 'pipe'
+            });
+            console.log(`  📦 ${work.commits.length} commit(s) → ${worktreeName}.bundle`);
+        } else {
+            execSync(`git format-patch -o "${join(archiveDir, 'patches')}" HEAD --not ${work.exclude.join(' ')}`, {
+                cwd: worktreePath,
+                stdio: 'pipe'
+            });
+            console.log(`  📦 ${work.commits.length} commit(s) → patches/`);
+        }
+    }
+
+    if (work.modified.length > 0) {
+        const excludes = GENERATED_FILES.map(file => `":(exclude)${file}"`).join(' ');
+        const diff = execSync(`git diff HEAD --binary -- . ${excludes}`, {
+            cwd: worktreePath,
+            encoding: 'utf8',
+            maxBuffer: 256 * 1024 * 1024
+        });
+        writeFileSync(join(archiveDir, 'uncommitted.patch'), diff);
+        console.log(`  📦 ${work.modified.length} changed file(s) → uncommitted.patch`);
+    }
+
+    for (const file of work.untracked) {
+        cpSync(join(worktreePath, file), join(archiveDir, 'untracked', file), { recursive: true });
+    }
+    if (work.untracked.length > 0) {
+        console.log(`  📦 ${work.untracked.length} untracked file(s) → untracked/`);
+    }
+
+    writeFileSync(join(archiveDir, 'README.md'), `# Archived worktree: ${branchName}
+
+Archived: ${new Date().toISOString()}
+Head: ${git('rev-parse HEAD', worktreePath)}
+
+Restore (from the repository root):
+
+- Commits: ${format === 'bundle'
+        ? `\`git fetch ${join(archiveDir, `${worktreeName}.bundle`)} HEAD:${branchName}-restored\``
+        : '`git am patches/*.patch` on a branch created from the same base'}
+- Uncommitted changes: \`git apply uncommitted.patch\`
+- Untracked files: copy them back from \`untracked/\`
+`);
+
+    return archiveDir;
+}
+
+let options;
+let positionals;
+try {
+    ({ values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            force: { type: 'boolean', default: false },
+            archive: { type: 'string' }
+        }
+    }));
+} catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+// Get branch (or directory) name from arguments
+const worktreeArg = positionals[0];
+
+if (!worktreeArg) {
     console.error('❌ Error: Please provide a branch name');
-    console.error('Usage: npm run worktree:remove <branch-name>');
+    console.error(USAGE);
     process.exit(1);
 }
 
-const worktreePath = join(rootDir, '.trees', branchName);
+if (options.archive !== undefined && !ARCHIVE_FORMATS.includes(options.archive)) {
+    console.error(`❌ Error: --archive must be one of ${ARCHIVE_FORMATS.join(', ')}`);
+    process.exit(1);
+}
+
+// Branches with "/" live in .trees/<safe name>, so look the worktree up by branch or directory
+const worktree = findWorktree(rootDir, worktreeArg);
+const worktreeName = worktree?.name || worktreeArg;
+const branchName = worktree?.branch || worktreeArg;
+const worktreePath = worktree?.path || join(rootDir, '.trees', worktreeArg);
 
 // Check if worktree exists
 if (!existsSync(worktreePath)) {
@@ -33,87 +206,96 @@ if (!existsSync(worktreePath)) {
 
 console.log(`🗑️  Removing worktree for branch: ${branchName}`);
 
+let config = null;
+
 try {
     // Step 1: Load worktree configuration to get container names
     const infoPath = join(worktreePath, 'test', '.worktree-info.json');
-    let config = null;
+    let parentBranch = null;
 
     if (existsSync(infoPath)) {
         try {
             const info = JSON.parse(readFileSync(infoPath, 'utf8'));
             config = info.configuration;
+            parentBranch = info.parentBranch || null;
             console.log('📋 Loaded worktree configuration');
         } catch (error) {
             console.warn('⚠️  Could not load worktree configuration:', error.message);
         }
     }
 
-    // Step 2: Stop and remove Docker containers if configuration exists
-    if (config) {
-        console.log('🐳 Cleaning up Docker resources...');
-
-        const containerPrefix = config.docker.containerPrefix;
-        const networkName = config.docker.networkName;
-
-        // Stop and remove containers
-        try {
-            // Check if container exists
-            const containerName = `${containerPrefix}-localstack`;
-            const checkCmd = `docker ps -a --filter "name=${containerName}" --format "{{.Names}}"`;
-            const containerExists = execSync(checkCmd, { encoding: 'utf8' }).trim();
-
-            if (containerExists) {
-                console.log(`  Stopping container: ${containerName}`);
-                execSync(`docker stop ${containerName} 2>/dev/null || true`, { stdio: 'pipe' });
-
-                console.log(`  Removing container: ${containerName}`);
-                execSync(`docker rm ${containerName} 2>/dev/null || true`, { stdio: 'pipe' });
-            }
-        } catch (error) {
-            console.warn('  ⚠️  Could not remove Docker containers:', error.message);
+    // Step 2: Make sure no work would be lost
+    console.log('🔍 Checking for unsaved work...');
+    const work = findUnsavedWork(parentBranch);
+    const hasUnsavedWork = work.modified.length + work.untracked.length + work.commits.length > 0;
+
+    if (hasUnsavedWork) {
+        const against = parentBranch ? `${parentBranch} or any remote` : 'any remote';
+        console.log('\n⚠️  This worktree has work that exists nowhere else:');
+        if (work.modified.length > 0) {
+            console.log(`  ${work.modified.length} uncommitted change(s):`);
+            work.modified.slice(0, 10).forEach(file => console.log(`    M  ${file}`));
+        }
+        if (work.untracked.length > 0) {
+            console.log(`  ${work.untracked.length} untracked file(s):`);
+            work.untracked.slice(0, 10).forEach(file => console.log(`    ?  ${file}`));
+        }
+        if (work.commits.length > 0) {
+            console.log(`  ${work.commits.length} commit(s) not on ${against}:`);
+            work.commits.slice(0, 10).forEach(commit => console.log(`    ${commit}`));
         }
 
-        // Remove network
-        try {
-            const checkNetCmd = `docker network ls --filter "name=${networkName}" --format "{{.Name}}"`;
-            const networkExists = execSync(checkNetCmd, { encoding: 'utf8' }).trim();
+        if (!options.force) {
+            console.error('\n❌ Refusing to remove the worktree.');
+            console.error('   Commit and push (or merge) the work first, or run again with:');
+            console.error(`     npm run worktree:remove ${branchName} -- --force --archive bundle   # keep a copy, then remove`);
+            console.error(`     npm run worktree:remove ${branchName} -- --force                    # discard the work`);
+            process.exit(1);
+        }
 
-            if (networkExists) {
-                console.log(`  Removing network: ${networkName}`);
-                execSync(`docker network rm ${networkName} 2>/dev/null || true`, { stdio: 'pipe' });
-            }
-        } catch (error) {
-            console.warn('  ⚠️  Could not remove Docker network:', error.message);
+        let archiveFormat = options.archive;
+        if (archiveFormat === undefined && process.stdin.isTTY) {
+            const answer = await promptUser('\nArchive this work before deleting? [b]undle / [p]atch series / [n]o: ');
+            archiveFormat = { b: 'bundle', bundle: 'bundle', p: 'patch', patch: 'patch' }[answer.toLowerCase()];
         }
 
-        // Remove volumes (if volume prefix exists in config)
-        if (config.docker.volumePrefix) {
-            try {
-                const volumePrefix = config.docker.volumePrefix;
-                console.log(`  Cleaning up volumes with prefix: ${volumePrefix}`);
-                execSync(`docker volume ls --filter "name=${volumePrefix}" --format "{{.Name}}" | xargs -r docker volume rm 2>/dev/null || true`, {
-                    shell: true,
-                    stdio: 'pipe'
-                });
-            } catch (error) {
-                console.warn('  ⚠️  Could not remove Docker volumes:', error.message);
-            }
+        if (archiveFormat) {
+            console.log('\n🗄️  Archiving work...');
+            const archiveDir = archiveWork(work, archiveFormat);
+            console.log(`✅ Archived to ${archiveDir}`);
+        } else {
+            console.log('⚠️  --force: discarding the work above');
         }
+    } else {
+        console.log('✅ No unsaved work');
+    }
 
-        console.log('✅ Docker cleanup complete');
+    // Hooks can stop the removal; they get the worktree's info while it still exists
+    const settings = loadWorktreeSettings(rootDir);
+    const hookWorktree = describeWorktree(rootDir, worktreeArg);
+    const preRemove = runHooks('pre-remove', { rootDir, settings, worktree: hookWorktree, details: { force: options.force } });
+    if (!preRemove.ok) {
+        console.error('❌ Error: A pre-remove hook failed - worktree not removed');
+        process.exit(1);
     }
 
-    // Step 3: Clean up LocalStack data directory
-    const localstackDataDir = join(worktreePath, 'test', `localstack-data-${config?.environment || branchName}`);
+    // Step 3: Stop and remove Docker containers if configuration exists
+    if (config) {
+        cleanupDockerResources(config);
+    }
+
+    // Step 4: Clean up LocalStack data directory
+    const localstackDataDir = join(worktreePath, 'test', `localstack-data-${config?.safeName || branchName}`);
     if (existsSync(localstackDataDir)) {
         console.log('📁 Removing LocalStack data directory...');
         rmSync(localstackDataDir, { recursive: true, force: true });
     }
 
-    // Step 4: Remove git worktree
+    // Step 5: Remove git worktree
     console.log('🌳 Removing git worktree...');
 
-    // First try normal removal
+    // First try normal removal; git refuses when files changed, which at this
+    // point are generated files or work the user chose to archive or discard
     try {
         execSync(`git worktree remove "${worktreePath}"`, {
             cwd: rootDir,
@@ -146,20 +328,35 @@ try {
 
     console.log('✅ Git worktree removed');
 
-    // Step 5: Summary
+    // Step 6: Release the worktree's ports in the registry
+    const released = await releasePorts(rootDir, worktreeName);
+    const freedPorts = released?.ports || config?.ports;
+
+    // The worktree is gone either way; a failing hook only changes the exit code
+    const postRemove = runHooks('post-remove', { rootDir, settings, worktree: hookWorktree, details: { force: options.force } });
+    if (!postRemove.ok) {
+        process.exitCode = 1;
+    }
+
+    // Step 7: Summary
     console.log('\n🎉 Worktree removed successfully!');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`  Branch:     ${branchName}`);
     console.log(`  Path:       ${worktreePath}`);
 
-    if (config) {
+    if (freedPorts) {
         console.log(`  Freed Ports:`);
-        console.log(`    - LocalStack: ${config.ports.localstack}`);
-        console.log(`    - Playwright: ${config.ports.playwright}`);
+        console.log(`    - LocalStack: ${freedPorts.localstack}`);
+        console.log(`    - Playwright: ${freedPorts.playwright}`);
+        console.log(`    - Debug:      ${freedPorts.debug}`);
     }
 
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
+    if (!postRemove.ok) {
+        console.log(`\n⚠️  post-remove hook(s) failed: ${postRemove.failed.join(', ')}`);
+    }
+
     // Show remaining worktrees
     console.log('\n📋 Remaining worktrees:');
     try {
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Update worktrees from their parent branches
+ * Usage: npm run worktree:sync -- [<name>...] [--all] [--strategy rebase|merge]
+ * Note: The -- separator is required to pass flags through npm to the script
+ *
+ * Each <name> is a branch name or a directory name under .trees/; --all syncs every
+ * worktree. Each worktree's branch is rebased (or, with --strategy merge, merged) onto
+ * the parent branch recorded in its .worktree-info.json, inside the worktree, with
+ * uncommitted changes stashed and restored around it - the same update as
+ * worktree:merge --update. The local parent branch is used as it is; pull it first
+ * to include the latest changes from the remote.
+ *
+ * A worktree whose parent is another worktree being synced is updated after it.
+ * When a worktree hits conflicts, the rebase or merge is left in progress there for
+ * manual resolution and the remaining worktrees are still synced. A table with the
+ * outcome for each worktree is printed at the end; the exit code is 1 if any
+ * worktree conflicted or failed.
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { SYNC_STRATEGIES, findStashEntry, orderByParent, updateFromParent } from './lib/sync.mjs';
+import { findWorktree, getWorktrees } from './lib/worktrees.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '../..');
+
+const USAGE = 'Usage: npm run worktree:sync -- [<name>...] [--all] [--strategy rebase|merge]';
+
+const RESULT_LABELS = {
+    'up-to-date': 'up to date',
+    updated: 'updated',
+    conflict: 'CONFLICT',
+    failed: 'FAILED',
+    skipped: 'skipped'
+};
+
+/**
+ * Sync one worktree
+ * @param {Object} worktree - Worktree from getWorktrees()
+ * @param {string} strategy - rebase or merge
+ * @returns {Object} Outcome: { worktree, parentBranch, status, detail, result? }
+ */
+function syncWorktree(worktree, strategy) {
+    const parentBranch = worktree.info?.parentBranch || null;
+    const outcome = { worktree, parentBranch, status: 'skipped', detail: '' };
+
+    console.log(`\n🔄 ${worktree.name}${parentBranch ? ` ← ${parentBranch}` : ''}`);
+
+    if (worktree.missing) {
+        outcome.detail = 'directory missing (see worktree:prune)';
+    } else if (!worktree.branch) {
+        outcome.detail = 'detached HEAD';
+    } else if (!parentBranch) {
+        outcome.detail = 'no parent branch recorded in .worktree-info.json';
+    }
+    if (outcome.detail) {
+        console.log(`   ⏭️  Skipped: ${outcome.detail}`);
+        return outcome;
+    }
+
+    const result = updateFromParent(worktree.path, worktree.branch, parentBranch, {
+        strategy,
+        keepConflicts: true,
+        log: message => console.log(`   → ${message}`)
+    });
+
+    if (result.status === 'conflict' && result.conflicts.length > 0) {
+        console.log(`   ⚠️  Conflicts - the ${strategy} was left in progress for you to resolve:`);
+        result.conflicts.forEach(file => console.log(`      ${file}`));
+    } else if (result.status === 'updated' || result.status === 'up-to-date') {
+        console.log(`   ✅ ${result.status === 'updated' ? 'Updated with' : 'Already up to date:'} ${result.detail}`);
+    } else {
+        console.log(`   ❌ ${result.detail}`);
+    }
+
+    if (result.stashed && !result.stashRestored) {
+        const reason = result.status === 'conflict' ? 'still in the stash' : 'still in the stash (git stash pop had conflicts)';
+        console.log(`   ℹ️  Uncommitted changes are ${reason}`);
+    }
+
+    return { ...outcome, status: result.status, detail: result.detail, result };
+}
+
+/**
+ * Print one line per worktree with the outcome of the sync
+ * @param {Array<Object>} outcomes - Outcomes from syncWorktree()
+ */
+function printOutcomes(outcomes) {
+    const rows = [
+        ['WORKTREE', 'BRANCH', 'PARENT', 'RESULT', 'DETAILS'],
+        ...outcomes.map(({ worktree, parentBranch, status, detail }) => [
+            worktree.name,
+            worktree.branch || '(detached)',
+            parentBranch || '?',
+            RESULT_LABELS[status],
+            detail
+        ])
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+
+    for (const row of rows) {
+        console.log('  ' + row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+    }
+}
+
+let options;
+let positionals;
+try {
+    ({ values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            all: { type: 'boolean', default: false },
+            strategy: { type: 'string', default: 'rebase' }
+        }
+    }));
+} catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+if (!SYNC_STRATEGIES.includes(options.strategy)) {
+    console.error(`❌ Error: Unknown strategy "${options.strategy}" (expected ${SYNC_STRATEGIES.join(' or ')})`);
+    process.exit(1);
+}
+
+if (options.all === (positionals.length > 0)) {
+    console.error(options.all
+        ? '❌ Error: Give worktree names or --all, not both'
+        : '❌ Error: Give the worktrees to sync, or --all for every worktree');
+    console.error(USAGE);
+    process.exit(1);
+}
+
+try {
+    let worktrees = getWorktrees(rootDir);
+    if (!options.all) {
+        const unknown = positionals.filter(name => !findWorktree(rootDir, name));
+        if (unknown.length > 0) {
+            console.error(`❌ Error: No worktree for ${unknown.map(name => `"${name}"`).join(', ')} (give a branch name or a directory name under .trees/)`);
+            process.exit(1);
+        }
+        const selected = positionals.map(name => findWorktree(rootDir, name));
+        worktrees = worktrees.filter(worktree => selected.some(match => match.path === worktree.path));
+    }
+
+    if (worktrees.length === 0) {
+        console.log('No worktrees found.');
+        process.exit(0);
+    }
+
+    console.log(`🔁 Syncing ${worktrees.length} worktree(s) with their parent branches (${options.strategy})`);
+
+    const outcomes = orderByParent(worktrees).map(worktree => syncWorktree(worktree, options.strategy));
+    const conflicted = outcomes.filter(outcome => outcome.status === 'conflict');
+    const failed = outcomes.filter(outcome => outcome.status === 'failed');
+
+    console.log('\n📊 Sync Summary');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    printOutcomes(outcomes);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    const leftInProgress = conflicted.filter(outcome => outcome.result?.conflicts.length > 0);
+    if (leftInProgress.length > 0) {
+        const verb = options.strategy === 'merge' ? 'commit --no-edit' : 'rebase --continue';
+        console.log('\n⚠️  Resolve the conflicts in each of these worktrees:');
+        for (const { worktree, result } of leftInProgress) {
+            console.log(`  cd ${worktree.path}`);
+            console.log(`    fix the files, git add <resolved-files>, then git ${verb}`);
+            console.log(`    (or git ${options.strategy} --abort to undo)`);
+            const entry = result.stashed && findStashEntry(rootDir, result.stash);
+            if (entry) {
+                console.log(`    then restore your uncommitted changes: git stash pop ${entry}`);
+            }
+        }
+        if (leftInProgress.filter(({ result }) => result.stashed).length > 1) {
+            console.log('  (stash@{n} numbers shift as entries are popped - check git stash list)');
+        }
+        console.log('  Then re-run: npm run worktree:sync -- ' + leftInProgress.map(({ worktree }) => worktree.name).join(' '));
+    }
+
+    if (conflicted.length > 0 || failed.length > 0) {
+        process.exit(1);
+    }
+
+} catch (error) {
+    console.error('❌ Error syncing worktrees:', error.message);
+    process.exit(1);
+}
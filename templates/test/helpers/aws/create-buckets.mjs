@@ -1,3 +1,4 @@
+{{#if useAWS}}
 #!/usr/bin/env node
 
 /**
@@ -10,7 +11,7 @@ import { S3Client, CreateBucketCommand, ListBucketsCommand, HeadBucketCommand }
 // Load environment
 const LOCALSTACK_PORT = process.env.LOCALSTACK_PORT || '4567';
 const AWS_ENDPOINT = process.env.AWS_ENDPOINT_URL || `http://localhost:${LOCALSTACK_PORT}`;
-const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || 'local-tests-app-cache';
+const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || 'local-tests-{{PROJECT_NAME | s3bucket | truncate:30}}-cache';
 
 // Create S3 client
 const s3 = new S3Client({
@@ -109,3 +110,4 @@ async function main() {
 }
 
 main();
+{{/if}}
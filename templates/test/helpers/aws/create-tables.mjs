@@ -1,3 +1,4 @@
+{{#if useAWS}}
 #!/usr/bin/env node
 
 /**
@@ -23,35 +24,25 @@ const dynamodb = new DynamoDBClient({
 });
 
 /**
- * Table definitions - customize these for your project
+ * Table definitions - generated from the "tables" list in .worktrees
+ * ({ "name": "...", "partitionKey": "..." } entries); customize as needed
  */
 const TABLES = [
+{{#each tables}}
     {
-        name: 'DEMO_ITEMS',
+        name: '{{name}}',
         schema: {
-            TableName: `${TABLE_PREFIX}-DEMO_ITEMS`,
+            TableName: `${TABLE_PREFIX}-{{name}}`,
             BillingMode: 'PAY_PER_REQUEST',
             AttributeDefinitions: [
-                { AttributeName: 'ITEM_ID', AttributeType: 'S' }
+                { AttributeName: '{{partitionKey}}', AttributeType: 'S' }
             ],
             KeySchema: [
-                { AttributeName: 'ITEM_ID', KeyType: 'HASH' }
+                { AttributeName: '{{partitionKey}}', KeyType: 'HASH' }
             ]
         }
     },
-    {
-        name: 'DEMO_USERS',
-        schema: {
-            TableName: `${TABLE_PREFIX}-DEMO_USERS`,
-            BillingMode: 'PAY_PER_REQUEST',
-            AttributeDefinitions: [
-                { AttributeName: 'USER_ID', AttributeType: 'S' }
-            ],
-            KeySchema: [
-                { AttributeName: 'USER_ID', KeyType: 'HASH' }
-            ]
-        }
-    }
+{{/each}}
 ];
 
 /**
@@ -116,3 +107,4 @@ async function main() {
 }
 
 main();
+{{/if}}
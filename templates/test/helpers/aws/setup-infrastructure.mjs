@@ -1,3 +1,4 @@
+{{#if useAWS}}
 #!/usr/bin/env node
 
 /**
@@ -92,3 +93,4 @@ async function main() {
 }
 
 main();
+{{/if}}
@@ -1,3 +1,4 @@
+{{#if useAWS}}
 /**
  * Worktree Configuration Generator
  * Generates unique, reproducible configuration for each git worktree
@@ -17,7 +18,9 @@ function getBranchHash(branchName) {
 }
 
 /**
- * Calculate unique ports based on branch hash
+ * Calculate ports based on branch hash
+ * Only a fallback: worktree:create reserves collision-free ports in the
+ * port registry (.trees/.ports.json) and passes them in
  * @param {Buffer} hash - The branch hash
  * @returns {Object} Port configuration
  */
@@ -34,10 +37,11 @@ function calculatePorts(hash) {
 
 /**
  * Generate safe container/resource names from branch name
+ * Also names the worktree's directory under .trees/ (see worktree:create)
  * @param {string} branchName - The branch name
  * @returns {string} Safe name for Docker/AWS resources
  */
-function getSafeName(branchName) {
+export function getSafeName(branchName) {
     // Ensure names are valid for Docker containers and AWS resources
     // Max length considerations:
     // - Docker container names: 63 characters
@@ -65,11 +69,12 @@ function getSafeName(branchName) {
  * Generate complete configuration for a worktree
  * @param {string} branchName - The branch name
  * @param {string} projectPrefix - Optional project prefix (default: 'app')
+ * @param {Object|null} reservedPorts - Ports reserved in the port registry (default: derived from the branch hash)
  * @returns {Object} Complete worktree configuration
  */
-export function generateWorktreeConfig(branchName, projectPrefix = 'app') {
+export function generateWorktreeConfig(branchName, projectPrefix = 'app', reservedPorts = null) {
     const hash = getBranchHash(branchName);
-    const ports = calculatePorts(hash);
+    const ports = reservedPorts || calculatePorts(hash);
     const safeName = getSafeName(branchName);
 
     return {
@@ -150,7 +155,16 @@ export function getCurrentWorktreeConfig() {
         return null;
     }
 
-    return generateWorktreeConfig(branchName);
+    // Ports come from the registry, so use the ones written to .env.worktree
+    const ports = process.env.LOCALSTACK_PORT
+        ? {
+            localstack: Number(process.env.LOCALSTACK_PORT),
+            playwright: Number(process.env.PLAYWRIGHT_PORT),
+            debug: Number(process.env.DEBUG_PORT)
+        }
+        : null;
+
+    return generateWorktreeConfig(branchName, 'app', ports);
 }
 
 /**
@@ -208,3 +222,4 @@ export default {
     isWorktree,
     validatePortsAvailable
 };
+{{/if}}
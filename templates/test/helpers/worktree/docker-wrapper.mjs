@@ -1,3 +1,4 @@
+{{#if useAWS}}
 #!/usr/bin/env node
 
 /**
@@ -23,19 +24,33 @@ if (!command) {
 }
 
 // Load environment configuration
+// Worktrees get .env.worktree and docker-compose.worktree.yml from worktree:create
 const envPath = join(testDir, '.env');
+const worktreeEnvPath = join(testDir, '.env.worktree');
+const isWorktreeSetup = existsSync(worktreeEnvPath);
 
-if (!existsSync(envPath)) {
+if (!existsSync(envPath) && !isWorktreeSetup) {
     console.error('❌ Missing .env file. Please create one first.');
     process.exit(1);
 }
 
-console.log('📁 Using configuration from .env');
-config({ path: envPath });
+if (existsSync(envPath)) {
+    console.log('📁 Using configuration from .env');
+    config({ path: envPath });
+}
+
+if (isWorktreeSetup) {
+    console.log('📁 Using worktree configuration from .env.worktree');
+    config({ path: worktreeEnvPath, override: true });
+}
 
-// Always use the base docker-compose.yml with override if it exists
+// Always use the base docker-compose.yml, plus the worktree override in a worktree
+// or docker-compose.override.yml if it exists
 const composeFile = 'docker-compose.yml';
-const overrideFile = 'docker-compose.override.yml';
+const worktreeOverrideFile = 'docker-compose.worktree.yml';
+const overrideFile = isWorktreeSetup && existsSync(join(testDir, worktreeOverrideFile))
+    ? worktreeOverrideFile
+    : 'docker-compose.override.yml';
 const composeFiles = existsSync(join(testDir, overrideFile))
     ? `-f ${composeFile} -f ${overrideFile}`
     : `-f ${composeFile}`;
@@ -85,3 +100,4 @@ try {
     console.error('Error executing docker command:', error.message);
     process.exit(1);
 }
+{{/if}}
@@ -1,3 +1,4 @@
+{{#if useAWS}}
 #!/usr/bin/env node
 
 /**
@@ -34,7 +35,7 @@ export function loadWorktreeEnvironment() {
             localstackPort: process.env.LOCALSTACK_PORT || '4567',
             playwrightPort: process.env.PLAYWRIGHT_PORT || '8080',
             environment: process.env.ENVIRONMENT || 'local-tests',
-            s3Bucket: process.env.S3_BUCKET_NAME || 'local-tests-app-cache'
+            s3Bucket: process.env.S3_BUCKET_NAME || 'local-tests-{{PROJECT_NAME | s3bucket | truncate:30}}-cache'
         };
     } else if (existsSync(defaultEnvPath)) {
         console.log('📁 Loading default environment from .env');
@@ -45,7 +46,7 @@ export function loadWorktreeEnvironment() {
             localstackPort: process.env.LOCALSTACK_PORT || '4567',
             playwrightPort: process.env.PORT || '8080',
             environment: process.env.ENVIRONMENT || 'local-tests',
-            s3Bucket: process.env.S3_BUCKET_NAME || 'local-tests-app-cache'
+            s3Bucket: process.env.S3_BUCKET_NAME || 'local-tests-{{PROJECT_NAME | s3bucket | truncate:30}}-cache'
         };
     }
 
@@ -55,7 +56,7 @@ export function loadWorktreeEnvironment() {
         localstackPort: '4567',
         playwrightPort: '8080',
         environment: 'local-tests',
-        s3Bucket: 'local-tests-app-cache'
+        s3Bucket: 'local-tests-{{PROJECT_NAME | s3bucket | truncate:30}}-cache'
     };
 }
 
@@ -64,3 +65,4 @@ const envConfig = loadWorktreeEnvironment();
 
 // Export for use in other scripts
 export default envConfig;
+{{/if}}
@@ -1,3 +1,4 @@
+{{#if useAWS}}
 /**
  * Integration Test Example - DynamoDB
  *
@@ -113,3 +114,4 @@ describe('DynamoDB Integration Tests', () => {
         expect(getResult.Item.value.N).toBe('2');
     });
 });
+{{/if}}
@@ -1,3 +1,4 @@
+{{#if useAWS}}
 /**
  * Unit Test Example
  *
@@ -47,3 +48,4 @@ describe('Example Unit Tests', () => {
         expect(throwError).toThrow('Test error');
     });
 });
+{{/if}}
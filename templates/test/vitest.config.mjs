@@ -1,3 +1,4 @@
+{{#if useAWS}}
 /**
  * Vitest Configuration
  *
@@ -86,3 +87,4 @@ export default defineConfig({
     format: 'esm'
   }
 });
+{{/if}}
@@ -1,3 +1,4 @@
+{{#if useAWS}}
 /**
  * Vitest Setup File
  *
@@ -14,20 +15,24 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Load environment configuration
+// In a worktree, .env.worktree (written by worktree:create) takes precedence over .env
 const envPath = join(__dirname, '.env');
+const worktreeEnvPath = join(__dirname, '.env.worktree');
 
-if (!existsSync(envPath)) {
+if (!existsSync(envPath) && !existsSync(worktreeEnvPath)) {
     console.error('❌ Missing .env file. Please create one first.');
     console.error('   Copy .env.example and customize for your environment.');
     process.exit(1);
 }
 
-// Load the .env file
-const dotenvOptions = { path: envPath, override: true };
-if (process.env.CI === 'true') {
-    dotenvOptions.quiet = true;
+// Load the .env file(s)
+for (const path of [envPath, worktreeEnvPath].filter(existsSync)) {
+    const dotenvOptions = { path, override: true };
+    if (process.env.CI === 'true') {
+        dotenvOptions.quiet = true;
+    }
+    config(dotenvOptions);
 }
-config(dotenvOptions);
 
 // Set LocalStack environment variables for ALL tests
 process.env.ENVIRONMENT = process.env.ENVIRONMENT || 'local-tests';
@@ -48,7 +53,7 @@ process.env.NODE_OPTIONS = '--experimental-vm-modules --no-warnings';
 process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = '1';
 
 // Set S3 bucket name for tests
-process.env.S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || `${process.env.ENVIRONMENT}-app-cache`;
+process.env.S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || `${process.env.ENVIRONMENT}-{{PROJECT_NAME | s3bucket | truncate:30}}-cache`;
 
 // Log setup confirmation (only in debug mode)
 if (process.env.DEBUG || process.env.VITEST_DEBUG) {
@@ -68,3 +73,4 @@ if (typeof globalThis.testTimeout === 'undefined') {
 if (!process.env.AWS_ENDPOINT_URL) {
     console.warn('⚠️ AWS_ENDPOINT_URL not set - tests may try to connect to real AWS!');
 }
+{{/if}}
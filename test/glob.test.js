@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, matchesGlob } from '../templates/scripts/worktree/lib/glob.mjs';
+
+test('globToRegExp converts wildcards, sets and alternatives', () => {
+    assert.ok(globToRegExp('*.env').test('local.env'));
+    assert.ok(!globToRegExp('*.env').test('config/local.env'));
+    assert.ok(globToRegExp('file?.txt').test('file1.txt'));
+    assert.ok(!globToRegExp('file?.txt').test('file10.txt'));
+    assert.ok(globToRegExp('data[0-9].json').test('data7.json'));
+    assert.ok(!globToRegExp('data[!0-9].json').test('data7.json'));
+    assert.ok(globToRegExp('data[!0-9].json').test('datax.json'));
+    assert.ok(globToRegExp('*.{yml,yaml}').test('compose.yaml'));
+    assert.ok(!globToRegExp('*.{yml,yaml}').test('compose.json'));
+});
+
+test('globToRegExp escapes regular expression characters', () => {
+    assert.ok(globToRegExp('a+b.(1)$').test('a+b.(1)$'));
+    assert.ok(!globToRegExp('a.b').test('axb'));
+    assert.ok(globToRegExp('[oops').test('[oops'));
+});
+
+test('** matches any number of directories', () => {
+    const regex = globToRegExp('src/**/*.test.js');
+    assert.ok(regex.test('src/a.test.js'));
+    assert.ok(regex.test('src/a/b/c.test.js'));
+    assert.ok(!regex.test('lib/a.test.js'));
+    assert.ok(globToRegExp('logs/**').test('logs/2024/app.log'));
+    assert.ok(globToRegExp('a**b').test('axxb'));
+    assert.ok(!globToRegExp('a**b').test('ax/b'));
+});
+
+test('a pattern without "/" matches a name at any depth', () => {
+    assert.ok(matchesGlob('.env.worktree', '.env.worktree'));
+    assert.ok(matchesGlob('test/.env.worktree', '.env.worktree'));
+    assert.ok(matchesGlob('a/b/localstack-data-1/file', 'localstack-data-*'));
+    assert.ok(!matchesGlob('test/.env.worktree.bak', '.env.worktree'));
+});
+
+test('a pattern with "/" is relative to the repository root', () => {
+    assert.ok(matchesGlob('test/.env', 'test/.env'));
+    assert.ok(!matchesGlob('sub/test/.env', 'test/.env'));
+    assert.ok(matchesGlob('.gitignore', '/.gitignore'));
+    assert.ok(!matchesGlob('test/.gitignore', '/.gitignore'));
+    assert.ok(matchesGlob('deep/dir/localstack-data-2/x', '**/localstack-data-*'));
+});
+
+test('a directory pattern matches everything under it, and a trailing "/" only directories', () => {
+    assert.ok(matchesGlob('.trees/feature/app.js', '.trees/'));
+    assert.ok(matchesGlob('seeds/x/a.json', 'seeds'));
+    assert.ok(matchesGlob('test/seed-data/x/a.json', 'test/seed-data/'));
+    assert.ok(!matchesGlob('seeds', 'seeds/'));
+    assert.ok(matchesGlob('seeds', 'seeds'));
+});
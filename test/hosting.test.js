@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLocalProvider, parseGitHubRemote } from '../templates/scripts/worktree/lib/hosting.mjs';
+
+test('parseGitHubRemote reads SSH and HTTPS remotes', () => {
+    assert.deepEqual(parseGitHubRemote('git@github.com:acme/app.git'), { owner: 'acme', repo: 'app' });
+    assert.deepEqual(parseGitHubRemote('https://github.com/acme/app'), { owner: 'acme', repo: 'app' });
+    assert.deepEqual(parseGitHubRemote('https://github.com/acme/app.git/'), { owner: 'acme', repo: 'app' });
+    assert.deepEqual(parseGitHubRemote('ssh://git@github.com/acme/my.app.git'), { owner: 'acme', repo: 'my.app' });
+});
+
+test('parseGitHubRemote rejects other remotes', () => {
+    assert.equal(parseGitHubRemote('git@gitlab.com:acme/app.git'), null);
+    assert.equal(parseGitHubRemote('/srv/git/app.git'), null);
+    assert.equal(parseGitHubRemote(null), null);
+});
+
+test('createLocalProvider records pull requests in .trees/.pull-requests.json', async t => {
+    const rootDir = mkdtempSync(join(tmpdir(), 'hosting-'));
+    t.after(() => rmSync(rootDir, { recursive: true, force: true }));
+    const provider = createLocalProvider(rootDir);
+
+    const first = await provider.createPullRequest({ head: 'feature-a', base: 'main', title: 'Feature A', body: 'Adds A' });
+    assert.deepEqual(first, { number: 1, url: 'local://pull/1', existing: false });
+    assert.ok(existsSync(join(rootDir, '.trees', '.pull-requests.json')));
+
+    const second = await provider.createPullRequest({ head: 'feature-b', base: 'main', title: 'Feature B', body: '' });
+    assert.equal(second.number, 2);
+
+    assert.deepEqual(await provider.getPullRequest(1), {
+        number: 1,
+        url: 'local://pull/1',
+        title: 'Feature A',
+        head: 'feature-a',
+        base: 'main',
+        ref: 'refs/heads/feature-a'
+    });
+});
+
+test('createLocalProvider returns the open pull request for the same head and base', async t => {
+    const rootDir = mkdtempSync(join(tmpdir(), 'hosting-'));
+    t.after(() => rmSync(rootDir, { recursive: true, force: true }));
+
+    await createLocalProvider(rootDir).createPullRequest({ head: 'feature-a', base: 'main', title: 'A', body: '' });
+    const again = await createLocalProvider(rootDir).createPullRequest({ head: 'feature-a', base: 'main', title: 'A again', body: '' });
+    assert.deepEqual(again, { number: 1, url: 'local://pull/1', existing: true });
+
+    const otherBase = await createLocalProvider(rootDir).createPullRequest({ head: 'feature-a', base: 'staging', title: 'A', body: '' });
+    assert.equal(otherBase.existing, false);
+    assert.equal(otherBase.number, 2);
+});
+
+test('createLocalProvider rejects unknown pull requests', async t => {
+    const rootDir = mkdtempSync(join(tmpdir(), 'hosting-'));
+    t.after(() => rmSync(rootDir, { recursive: true, force: true }));
+
+    await assert.rejects(createLocalProvider(rootDir).getPullRequest(7), /Pull request #7 not found/);
+});
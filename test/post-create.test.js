@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { detectPackageManager } from '../templates/scripts/worktree/lib/post-create.mjs';
+
+/**
+ * Create a worktree-like directory with a test/ package
+ * @param {Object} t - Test context (the directory is deleted after the test)
+ * @returns {({root: string, testDir: string})}
+ */
+function createWorktree(t) {
+    const root = mkdtempSync(join(tmpdir(), 'post-create-'));
+    t.after(() => rmSync(root, { recursive: true, force: true }));
+    const testDir = join(root, 'test');
+    mkdirSync(testDir);
+    return { root, testDir };
+}
+
+test('detectPackageManager defaults to npm without a lockfile', t => {
+    const { root, testDir } = createWorktree(t);
+    assert.equal(detectPackageManager(testDir, root), 'npm');
+});
+
+test('detectPackageManager recognizes each lockfile', t => {
+    const { root } = createWorktree(t);
+    for (const [lockfile, manager] of [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['package-lock.json', 'npm'], ['npm-shrinkwrap.json', 'npm']]) {
+        const dir = join(root, manager + lockfile);
+        mkdirSync(dir);
+        writeFileSync(join(dir, lockfile), '');
+        assert.equal(detectPackageManager(dir, root), manager, lockfile);
+    }
+});
+
+test('detectPackageManager prefers the directory lockfile over the root one', t => {
+    const { root, testDir } = createWorktree(t);
+    writeFileSync(join(root, 'pnpm-lock.yaml'), '');
+    assert.equal(detectPackageManager(testDir, root), 'pnpm');
+
+    writeFileSync(join(testDir, 'package-lock.json'), '{}');
+    assert.equal(detectPackageManager(testDir, root), 'npm');
+});
+
+test('detectPackageManager checks pnpm before yarn before npm', t => {
+    const { root } = createWorktree(t);
+    writeFileSync(join(root, 'package-lock.json'), '{}');
+    writeFileSync(join(root, 'yarn.lock'), '');
+    assert.equal(detectPackageManager(root, root), 'yarn');
+
+    writeFileSync(join(root, 'pnpm-lock.yaml'), '');
+    assert.equal(detectPackageManager(root, root), 'pnpm');
+});
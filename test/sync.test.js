@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { orderByParent, updateFromParent } from '../templates/scripts/worktree/lib/sync.mjs';
+
+// The library runs git itself, so isolate it from the user's git config and give it an identity
+Object.assign(process.env, {
+    GIT_CONFIG_GLOBAL: '/dev/null',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+const worktree = (branch, parentBranch) => ({ name: branch, branch, info: parentBranch ? { parentBranch } : null });
+
+test('orderByParent syncs a parent worktree before its children', () => {
+    const child = worktree('feature-ui', 'feature-api');
+    const grandchild = worktree('feature-ui-tweaks', 'feature-ui');
+    const parent = worktree('feature-api', 'main');
+    const unrelated = worktree('spike', 'main');
+
+    const ordered = orderByParent([grandchild, unrelated, child, parent]);
+    assert.deepEqual(ordered.map(w => w.branch), ['feature-api', 'feature-ui', 'feature-ui-tweaks', 'spike']);
+});
+
+test('orderByParent keeps every worktree once, also with cycles and unknown parents', () => {
+    const a = worktree('a', 'b');
+    const b = worktree('b', 'a');
+    const detached = { name: 'detached', branch: null, info: null };
+    const orphan = worktree('orphan', 'gone');
+
+    const ordered = orderByParent([a, b, detached, orphan]);
+    assert.equal(ordered.length, 4);
+    assert.deepEqual(new Set(ordered), new Set([a, b, detached, orphan]));
+});
+
+/**
+ * Create a repository with a main branch and a feature branch checked out in a worktree
+ * @param {Object} t - Test context (the repository is deleted after the test)
+ * @returns {({root: string, worktreePath: string, git: Function})}
+ */
+function createRepo(t) {
+    const root = mkdtempSync(join(tmpdir(), 'sync-'));
+    t.after(() => rmSync(root, { recursive: true, force: true }));
+    const git = (args, cwd = root) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+
+    git(['init', '-q', '-b', 'main']);
+    writeFileSync(join(root, 'app.js'), 'base\n');
+    git(['add', '-A']);
+    git(['commit', '-qm', 'base']);
+
+    const worktreePath = join(root, '.trees', 'feature');
+    git(['worktree', 'add', '-q', '-b', 'feature', worktreePath]);
+    return { root, worktreePath, git };
+}
+
+test('updateFromParent rebases the branch and restores uncommitted changes', t => {
+    const { root, worktreePath, git } = createRepo(t);
+    writeFileSync(join(root, 'main.txt'), 'main\n');
+    git(['add', '-A']);
+    git(['commit', '-qm', 'main change']);
+    writeFileSync(join(worktreePath, 'app.js'), 'work in progress\n');
+
+    const result = updateFromParent(worktreePath, 'feature', 'main');
+    assert.equal(result.status, 'updated');
+    assert.equal(result.behind, 1);
+    assert.equal(result.stashed, true);
+    assert.equal(result.stashRestored, true);
+    assert.equal(readFileSync(join(worktreePath, 'app.js'), 'utf8'), 'work in progress\n');
+    assert.equal(git(['merge-base', '--is-ancestor', 'main', 'feature']), '');
+
+    assert.equal(updateFromParent(worktreePath, 'feature', 'main').status, 'up-to-date');
+});
+
+test('updateFromParent aborts a conflicting rebase unless asked to keep it', t => {
+    const { root, worktreePath, git } = createRepo(t);
+    writeFileSync(join(root, 'app.js'), 'main side\n');
+    git(['commit', '-qam', 'main change']);
+    writeFileSync(join(worktreePath, 'app.js'), 'feature side\n');
+    git(['commit', '-qam', 'feature change'], worktreePath);
+    const head = git(['rev-parse', 'feature']);
+
+    const aborted = updateFromParent(worktreePath, 'feature', 'main');
+    assert.equal(aborted.status, 'conflict');
+    assert.deepEqual(aborted.conflicts, ['app.js']);
+    assert.equal(git(['rev-parse', 'feature']), head);
+    assert.equal(git(['status', '--porcelain'], worktreePath), '');
+
+    const kept = updateFromParent(worktreePath, 'feature', 'main', { keepConflicts: true });
+    assert.equal(kept.status, 'conflict');
+    assert.match(git(['status'], worktreePath), /rebase in progress/);
+    assert.match(updateFromParent(worktreePath, 'feature', 'main').detail, /already in progress/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, replaceVariables } from '../lib/template-processor.js';
+
+test('renderTemplate substitutes values, including dotted paths', () => {
+    const { content, unresolved } = renderTemplate('{{PROJECT_NAME}} uses {{table.name}}', {
+        PROJECT_NAME: 'demo',
+        table: { name: 'users' }
+    });
+    assert.equal(content, 'demo uses users');
+    assert.deepEqual(unresolved, []);
+});
+
+test('\\{{ renders a literal {{ and is not reported', () => {
+    const template = 'runs-on: $\\{{ matrix.os }}\nname: {{PROJECT_NAME}}';
+    const { content, unresolved } = renderTemplate(template, { PROJECT_NAME: 'demo' });
+    assert.equal(content, 'runs-on: ${{ matrix.os }}\nname: demo');
+    assert.deepEqual(unresolved, []);
+});
+
+test('escaped block tags are left as text', () => {
+    assert.equal(replaceVariables('\\{{#if useAWS}}x\\{{/if}}', { useAWS: false }), '{{#if useAWS}}x{{/if}}');
+});
+
+test('renderTemplate reports unresolved placeholders with their template line', () => {
+    const template = 'name: {{PROJECT_NAME}}\nowner: {{GITHUB_OWNER}}\n{{#if useAWS}}\nregion: {{ AWS_REGION }}\n{{/if}}\n';
+    const { content, unresolved } = renderTemplate(template, { PROJECT_NAME: 'demo', useAWS: true });
+    assert.equal(content, 'name: demo\nowner: {{GITHUB_OWNER}}\nregion: {{ AWS_REGION }}\n');
+    assert.deepEqual(unresolved, [
+        { line: 2, placeholder: '{{GITHUB_OWNER}}' },
+        { line: 4, placeholder: '{{ AWS_REGION }}' }
+    ]);
+});
+
+test('placeholders in skipped blocks are not reported', () => {
+    const { content, unresolved } = renderTemplate('{{#if useAWS}}{{AWS_REGION}}{{/if}}', { useAWS: false });
+    assert.equal(content, '');
+    assert.deepEqual(unresolved, []);
+});
+
+test('renderTemplate rejects unbalanced blocks', () => {
+    assert.throws(() => renderTemplate('{{#if useAWS}}open', {}));
+});
+
+test('filters apply left to right', () => {
+    const values = { PROJECT_NAME: 'My Project_v2', NAME: 'myApiServer' };
+    assert.equal(replaceVariables('{{PROJECT_NAME | lower}}', values), 'my project_v2');
+    assert.equal(replaceVariables('{{PROJECT_NAME | kebab}}', values), 'my-project-v2');
+    assert.equal(replaceVariables('{{NAME | kebab}}', values), 'my-api-server');
+    assert.equal(replaceVariables('{{PROJECT_NAME | kebab | truncate:5}}', values), 'my-pr');
+    assert.equal(replaceVariables('{{PROJECT_NAME|truncate:2|lower}}', values), 'my');
+});
+
+test('json and yaml filters escape for double-quoted strings', () => {
+    const values = { TITLE: 'Say "hi"\\now\n' };
+    assert.equal(replaceVariables('"{{TITLE | json}}"', values), '"Say \\"hi\\"\\\\now\\n"');
+    assert.equal(replaceVariables('"{{TITLE | yaml}}"', values), '"Say \\"hi\\"\\\\now\\n"');
+});
+
+test('s3bucket makes a valid bucket name', () => {
+    assert.equal(replaceVariables('{{NAME | s3bucket}}', { NAME: 'My_App' }), 'my-app');
+    assert.equal(replaceVariables('{{NAME | s3bucket}}', { NAME: 'A' }), 'a-s3');
+    assert.equal(replaceVariables('{{NAME | s3bucket}}', { NAME: '!!' }), 'app-s3');
+
+    const long = replaceVariables('{{NAME | s3bucket}}', { NAME: `${'a'.repeat(62)} b` });
+    assert.ok(long.length <= 63);
+    assert.match(long, /^[a-z0-9][a-z0-9-]*[a-z0-9]$/);
+});
+
+test('filters stringify numbers and booleans', () => {
+    assert.equal(replaceVariables('{{PORT | truncate:2}}', { PORT: 4566 }), '45');
+    assert.equal(replaceVariables('{{useAWS | lower}}', { useAWS: true }), 'true');
+});
+
+test('an unknown filter leaves the placeholder unresolved', () => {
+    const { content, unresolved } = renderTemplate('{{PROJECT_NAME | upper}}', { PROJECT_NAME: 'demo' });
+    assert.equal(content, '{{PROJECT_NAME | upper}}');
+    assert.deepEqual(unresolved, [{ line: 1, placeholder: '{{PROJECT_NAME | upper}}' }]);
+});
+
+test('truncate needs a length', () => {
+    assert.throws(() => replaceVariables('{{PROJECT_NAME | truncate}}', { PROJECT_NAME: 'demo' }), /truncate needs a length/);
+    assert.throws(() => replaceVariables('{{PROJECT_NAME | truncate:x}}', { PROJECT_NAME: 'demo' }), /got "x"/);
+});
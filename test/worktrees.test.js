@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdirSync, mkdtempSync, realpathSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { findWorktree, getBranchStatus, getWorktrees } from '../templates/scripts/worktree/lib/worktrees.mjs';
+
+// The library runs git itself, so isolate it from the user's git config and give it an identity
+Object.assign(process.env, {
+    GIT_CONFIG_GLOBAL: '/dev/null',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+/**
+ * Create a repository with one commit on main
+ * @param {Object} t - Test context (the repository is deleted after the test)
+ * @returns {Object} Helpers: root, git(args, cwd), commit(cwd, file, content), addWorktree(branch, info), status(branch)
+ */
+function createRepo(t) {
+    const root = realpathSync(mkdtempSync(join(tmpdir(), 'worktrees-')));
+    t.after(() => rmSync(root, { recursive: true, force: true }));
+
+    const git = (args, cwd = root) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+    const commit = (cwd, file, content) => {
+        writeFileSync(join(cwd, file), content);
+        git(['add', file], cwd);
+        git(['commit', '-qm', `update ${file}`], cwd);
+        return git(['rev-parse', 'HEAD'], cwd);
+    };
+
+    git(['init', '-q', '-b', 'main']);
+    writeFileSync(join(root, '.gitignore'), '.trees/\ntest/\n');
+    commit(root, 'app.js', 'base\n');
+
+    // Like worktree:create: the branch starts at the parent, recorded in test/.worktree-info.json
+    const addWorktree = (branch, info = { parentBranch: 'main', baseCommit: git(['rev-parse', 'main']) }) => {
+        const path = join(root, '.trees', branch);
+        git(['worktree', 'add', '-q', '-b', branch, path, 'main']);
+        mkdirSync(join(path, 'test'));
+        writeFileSync(join(path, 'test', '.worktree-info.json'), JSON.stringify({ branchName: branch, ...info }));
+        return path;
+    };
+
+    const status = branch => getBranchStatus(root, findWorktree(root, branch));
+
+    return { root, git, commit, addWorktree, status };
+}
+
+test('getWorktrees lists linked worktrees with their recorded info', t => {
+    const { root, addWorktree } = createRepo(t);
+    const path = addWorktree('feature');
+
+    const worktrees = getWorktrees(root);
+    assert.equal(worktrees.length, 1);
+    assert.equal(worktrees[0].name, 'feature');
+    assert.equal(worktrees[0].path, path);
+    assert.equal(worktrees[0].branch, 'feature');
+    assert.equal(worktrees[0].missing, false);
+    assert.equal(worktrees[0].info.parentBranch, 'main');
+    assert.equal(findWorktree(root, 'missing'), null);
+});
+
+test('a freshly created worktree is not merged', t => {
+    const { addWorktree, status } = createRepo(t);
+    addWorktree('feature');
+
+    const { parentBranch, ahead, behind, merged, lastCommit } = status('feature');
+    assert.deepEqual({ parentBranch, ahead, behind, merged }, { parentBranch: 'main', ahead: 0, behind: 0, merged: false });
+    assert.equal(lastCommit.subject, 'update app.js');
+});
+
+test('a worktree without a recorded baseCommit is not merged', t => {
+    const { root, commit, addWorktree, status } = createRepo(t);
+    addWorktree('feature', { parentBranch: 'main' });
+    commit(root, 'main.txt', 'main\n');
+
+    const { ahead, behind, merged } = status('feature');
+    assert.deepEqual({ ahead, behind, merged }, { ahead: 0, behind: 1, merged: false });
+});
+
+test('a branch with unmerged commits is not merged', t => {
+    const { root, commit, addWorktree, status } = createRepo(t);
+    const path = addWorktree('feature');
+    commit(path, 'feature.txt', 'feature\n');
+    commit(root, 'main.txt', 'main\n');
+
+    const { ahead, behind, merged } = status('feature');
+    assert.deepEqual({ ahead, behind, merged }, { ahead: 1, behind: 1, merged: false });
+});
+
+test('a fast-forwarded branch is merged', t => {
+    const { root, git, commit, addWorktree, status } = createRepo(t);
+    const path = addWorktree('feature');
+    commit(path, 'feature.txt', 'feature\n');
+    git(['merge', '-q', '--ff-only', 'feature']);
+
+    const { ahead, merged } = status('feature');
+    assert.deepEqual({ ahead, merged }, { ahead: 0, merged: true });
+});
+
+test('a branch merged with a merge commit is merged', t => {
+    const { root, git, commit, addWorktree, status } = createRepo(t);
+    const path = addWorktree('feature');
+    commit(path, 'feature.txt', 'feature\n');
+    commit(root, 'main.txt', 'main\n');
+    git(['merge', '-q', '--no-ff', '--no-edit', 'feature']);
+
+    assert.equal(status('feature').merged, true);
+});
+
+test('getBranchStatus leaves merged unknown without a parent branch', t => {
+    const { addWorktree, status } = createRepo(t);
+    addWorktree('feature', {});
+    addWorktree('orphan', { parentBranch: 'deleted' });
+
+    assert.equal(status('feature').parentBranch, null);
+    assert.equal(status('feature').merged, null);
+    assert.equal(status('orphan').ahead, null);
+    assert.equal(status('orphan').merged, null);
+});
+
+test('a branch whose commits were cherry-picked onto the parent is merged', t => {
+    const { root, git, commit, addWorktree, status } = createRepo(t);
+    const path = addWorktree('feature');
+    const picked = commit(path, 'feature.txt', 'feature\n');
+    commit(root, 'main.txt', 'main\n');
+    git(['cherry-pick', picked]);
+
+    const { ahead, merged } = status('feature');
+    assert.deepEqual({ ahead, merged }, { ahead: 1, merged: true });
+});
+
+test('a squash-merged branch is merged, also after later changes on the parent', t => {
+    const { root, git, commit, addWorktree, status } = createRepo(t);
+    const path = addWorktree('feature');
+    commit(path, 'feature.txt', 'one\n');
+    commit(path, 'feature.txt', 'two\n');
+    git(['merge', '-q', '--squash', 'feature']);
+    git(['commit', '-qm', 'Squash feature']);
+    commit(root, 'main.txt', 'later\n');
+
+    assert.equal(status('feature').merged, true);
+
+    // New work on the branch after the squash merge is not in the parent
+    commit(path, 'feature.txt', 'three\n');
+    assert.equal(status('feature').merged, false);
+});
+
+test('a merge recorded by worktree:merge counts until the branch moves', t => {
+    const { root, git, commit, addWorktree, status } = createRepo(t);
+    const baseCommit = git(['rev-parse', 'main']);
+    const path = addWorktree('feature');
+    const first = commit(path, 'feature.txt', 'feature\n');
+    commit(path, 'local.env', 'worktree only\n');
+
+    // A squash that left a worktree-specific file out, as worktree:merge does
+    git(['merge', '-q', '--squash', 'feature']);
+    git(['rm', '-q', '--cached', 'local.env']);
+    rmSync(join(root, 'local.env'));
+    git(['commit', '-qm', 'Squash feature']);
+    assert.equal(status('feature').merged, false);
+
+    const info = { parentBranch: 'main', baseCommit, mergedInto: 'main', mergeCommit: git(['rev-parse', 'HEAD']) };
+    const writeInfo = extra => writeFileSync(join(path, 'test', '.worktree-info.json'), JSON.stringify({ ...info, ...extra }));
+
+    writeInfo({ mergedHead: git(['rev-parse', 'feature']) });
+    assert.equal(status('feature').merged, true);
+
+    // Recorded for another parent, or the merge commit is gone from the parent
+    writeInfo({ mergedHead: git(['rev-parse', 'feature']), mergedInto: 'staging' });
+    assert.equal(status('feature').merged, false);
+    writeInfo({ mergedHead: git(['rev-parse', 'feature']), mergeCommit: first });
+    assert.equal(status('feature').merged, false);
+
+    writeInfo({ mergedHead: git(['rev-parse', 'feature']) });
+    commit(path, 'feature.txt', 'more\n');
+    assert.equal(status('feature').merged, false);
+});